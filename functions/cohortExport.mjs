@@ -0,0 +1,460 @@
+/**
+ * コホートエクスポート（クライアントとCloud Functionsで共有）
+ * ロング形式・ワイド形式・統合形式・患者別シート（Excel）の表を組み立てる
+ *
+ * - クライアント: src/App.jsx から import（ブラウザでのダウンロード）
+ * - Cloud Functions: functions/index.js から require（大規模な研究のサーバー側エクスポート）
+ *
+ * Firestore には依存しない。患者データは buildExportPatient() で共通の形に揃えてから渡すこと
+ */
+
+import * as XLSX from 'xlsx';
+import { defaultLabDictionary, getLabItemCodes } from './labDictionary.mjs';
+
+// 発症日からの日数（発症日 = Day 0、日付がなければ空文字）
+export function calcDaysFromOnset(onsetDate, targetDate) {
+  if (!onsetDate || !targetDate) return '';
+  const onset = new Date(onsetDate);
+  const target = new Date(targetDate);
+  return Math.ceil((target - onset) / (1000 * 60 * 60 * 24));
+}
+
+// ============================================================
+// CRF項目の書式
+// ============================================================
+
+export function isEmptyCrfValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// 表示・エクスポート用の文字列に変換
+export function formatCrfValue(field, value) {
+  if (isEmptyCrfValue(value)) return '';
+  if (field.type === 'yesno') return value === 'yes' ? 'はい' : 'いいえ';
+  if (Array.isArray(value)) return value.join('; ');
+  return String(value);
+}
+
+// エクスポート時の列名（単位付き）
+export function getCrfColumnHeader(field) {
+  const label = (field.label || field.key).replace(/[,"\n]/g, ' ');
+  return field.unit ? `${label}(${field.unit})` : label;
+}
+
+// 研究のCRF項目を患者単位の列として展開
+function buildCrfColumns(crfFields, patient) {
+  const columns = {};
+  crfFields.forEach(field => {
+    columns[getCrfColumnHeader(field)] = formatCrfValue(field, patient.crf?.[field.key]);
+  });
+  return columns;
+}
+
+// ============================================================
+// 患者データの整形
+// ============================================================
+
+// 患者ドキュメントと検査・治療・臨床イベント（日付の昇順、論理削除済みを除く）をエクスポート用にまとめる
+// convertLabItem: 検査値の換算（単位系の切り替え用）。省略時は登録されている値・単位のまま
+export function buildExportPatient(patient, records, { convertLabItem = item => item } = {}) {
+  return {
+    id: patient.displayId,
+    group: patient.group || '',
+    diagnosis: patient.diagnosis || '',
+    onsetDate: patient.onsetDate || '',
+    sex: patient.sex || '',
+    ageAtOnset: patient.ageAtOnset ?? '',
+    ageUnit: patient.ageUnit || '',
+    crf: patient.crf || {},
+    labResults: (records.labResults || []).map(lab => ({
+      date: lab.date,
+      specimen: lab.specimen || '',
+      dayFromOnset: calcDaysFromOnset(patient.onsetDate, lab.date),
+      items: (lab.data || []).map(convertLabItem)
+    })),
+    treatments: records.treatments || [],
+    events: records.clinicalEvents || []
+  };
+}
+
+// ============================================================
+// 表の組み立て（{ headers, rows }）
+// ============================================================
+
+// ロング形式（従来形式）: 検査は1行1項目、治療薬・臨床経過は別表
+export function buildLongFormatTables(allPatientData, { crfFields = [], labDictionary = defaultLabDictionary } = {}) {
+  const crfHeaders = crfFields.map(getCrfColumnHeader);
+  const lab = [];
+  const treatments = [];
+  const events = [];
+
+  allPatientData.forEach(patient => {
+    const patientColumns = {
+      PatientID: patient.id,
+      Group: patient.group,
+      Diagnosis: patient.diagnosis,
+      OnsetDate: patient.onsetDate,
+      ...buildCrfColumns(crfFields, patient)
+    };
+
+    patient.labResults.forEach(result => {
+      result.items.forEach(item => {
+        const codes = getLabItemCodes(item.item, labDictionary);
+        lab.push({
+          ...patientColumns,
+          LabDate: result.date,
+          DayFromOnset: result.dayFromOnset,
+          Specimen: result.specimen,
+          Item: item.item,
+          LOINC: codes.loinc,
+          JLAC10: codes.jlac10,
+          Value: item.value,
+          Unit: item.unit || ''
+        });
+      });
+    });
+
+    patient.treatments.forEach(t => {
+      treatments.push({
+        ...patientColumns,
+        Category: t.category || '',
+        MedicationName: t.medicationName || '',
+        Dosage: t.dosage || '',
+        DosageUnit: t.dosageUnit || '',
+        StartDate: t.startDate || '',
+        StartDayFromOnset: calcDaysFromOnset(patient.onsetDate, t.startDate),
+        EndDate: t.endDate || '',
+        EndDayFromOnset: calcDaysFromOnset(patient.onsetDate, t.endDate),
+        Note: t.note || ''
+      });
+    });
+
+    patient.events.forEach(e => {
+      events.push({
+        ...patientColumns,
+        EventType: e.eventType || '',
+        StartDate: e.startDate || '',
+        StartDayFromOnset: calcDaysFromOnset(patient.onsetDate, e.startDate),
+        EndDate: e.endDate || '',
+        EndDayFromOnset: calcDaysFromOnset(patient.onsetDate, e.endDate),
+        JCS: e.jcs || '',
+        Frequency: e.frequency || '',
+        Presence: e.presence || '',
+        Severity: e.severity || '',
+        Note: e.note || ''
+      });
+    });
+  });
+
+  const baseHeaders = ['PatientID', 'Group', 'Diagnosis', 'OnsetDate', ...crfHeaders];
+  return {
+    lab: {
+      headers: [...baseHeaders, 'LabDate', 'DayFromOnset', 'Specimen', 'Item', 'LOINC', 'JLAC10', 'Value', 'Unit'],
+      rows: lab
+    },
+    treatments: {
+      headers: [...baseHeaders, 'Category', 'MedicationName', 'Dosage', 'DosageUnit', 'StartDate', 'StartDayFromOnset', 'EndDate', 'EndDayFromOnset', 'Note'],
+      rows: treatments
+    },
+    events: {
+      headers: [...baseHeaders, 'EventType', 'StartDate', 'StartDayFromOnset', 'EndDate', 'EndDayFromOnset', 'JCS', 'Frequency', 'Presence', 'Severity', 'Note'],
+      rows: events
+    }
+  };
+}
+
+// ワイド形式: 患者×日付ごとに1行、検査項目を列に展開
+// columnKey: 'item' | 'loinc' | 'jlac10'（コード未設定の項目は項目名のまま）
+export function buildWideFormatTable(allPatientData, { crfFields = [], labDictionary = defaultLabDictionary, columnKey = 'item' } = {}) {
+  const allItems = new Set();
+  allPatientData.forEach(patient => {
+    patient.labResults.forEach(lab => {
+      lab.items.forEach(item => allItems.add(item.item));
+    });
+  });
+  const itemList = Array.from(allItems).sort();
+
+  const columnNames = Object.fromEntries(itemList.map(itemName => {
+    const code = columnKey === 'item' ? '' : getLabItemCodes(itemName, labDictionary)[columnKey];
+    return [itemName, code || itemName];
+  }));
+
+  const rows = [];
+  allPatientData.forEach(patient => {
+    const crfColumns = buildCrfColumns(crfFields, patient);
+    patient.labResults.forEach(lab => {
+      const row = {
+        PatientID: patient.id,
+        Group: patient.group,
+        Diagnosis: patient.diagnosis,
+        OnsetDate: patient.onsetDate,
+        ...crfColumns,
+        LabDate: lab.date,
+        DayFromOnset: lab.dayFromOnset,
+        Specimen: lab.specimen
+      };
+
+      itemList.forEach(itemName => {
+        const found = lab.items.find(i => i.item === itemName);
+        row[columnNames[itemName]] = found ? found.value : '';
+      });
+
+      rows.push(row);
+    });
+  });
+
+  // 患者ID→日付順でソート
+  rows.sort((a, b) => {
+    if (a.PatientID !== b.PatientID) return String(a.PatientID).localeCompare(String(b.PatientID));
+    return (a.LabDate || '').localeCompare(b.LabDate || '');
+  });
+
+  return {
+    headers: [
+      'PatientID', 'Group', 'Diagnosis', 'OnsetDate', ...crfFields.map(getCrfColumnHeader),
+      'LabDate', 'DayFromOnset', 'Specimen', ...itemList.map(itemName => columnNames[itemName])
+    ],
+    rows,
+    itemCount: itemList.length
+  };
+}
+
+// 統合形式: 患者ごとに検査・治療・臨床経過を時系列でまとめる
+export function buildIntegratedFormatTable(allPatientData, { labDictionary = defaultLabDictionary } = {}) {
+  const rows = [];
+
+  allPatientData.forEach(patient => {
+    const timeline = [];
+
+    patient.labResults.forEach(lab => {
+      lab.items.forEach(item => {
+        timeline.push({
+          date: lab.date,
+          dayFromOnset: lab.dayFromOnset,
+          type: '検査',
+          category: lab.specimen || '血液',
+          name: item.item,
+          ...getLabItemCodes(item.item, labDictionary),
+          value: item.value,
+          unit: item.unit || '',
+          startDate: lab.date,
+          endDate: '',
+          note: ''
+        });
+      });
+    });
+
+    patient.treatments.forEach(t => {
+      timeline.push({
+        date: t.startDate,
+        dayFromOnset: calcDaysFromOnset(patient.onsetDate, t.startDate),
+        type: '治療',
+        category: t.category || '',
+        name: t.medicationName || '',
+        value: t.dosage || '',
+        unit: t.dosageUnit || '',
+        startDate: t.startDate || '',
+        endDate: t.endDate || '',
+        note: t.note || ''
+      });
+    });
+
+    patient.events.forEach(e => {
+      timeline.push({
+        date: e.startDate,
+        dayFromOnset: calcDaysFromOnset(patient.onsetDate, e.startDate),
+        type: '臨床経過',
+        category: e.eventType || '',
+        name: e.jcs ? `JCS ${e.jcs}` : (e.frequency || e.presence || ''),
+        value: e.severity || '',
+        unit: '',
+        startDate: e.startDate || '',
+        endDate: e.endDate || '',
+        note: e.note || ''
+      });
+    });
+
+    timeline.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    timeline.forEach(item => {
+      rows.push({
+        PatientID: patient.id,
+        Group: patient.group,
+        Diagnosis: patient.diagnosis,
+        OnsetDate: patient.onsetDate,
+        Date: item.date,
+        DayFromOnset: item.dayFromOnset,
+        DataType: item.type,
+        Category: item.category,
+        Name: item.name,
+        LOINC: item.loinc || '',
+        JLAC10: item.jlac10 || '',
+        Value: item.value,
+        Unit: item.unit,
+        StartDate: item.startDate,
+        EndDate: item.endDate,
+        Note: item.note
+      });
+    });
+  });
+
+  return {
+    headers: ['PatientID', 'Group', 'Diagnosis', 'OnsetDate', 'Date', 'DayFromOnset', 'DataType', 'Category', 'Name', 'LOINC', 'JLAC10', 'Value', 'Unit', 'StartDate', 'EndDate', 'Note'],
+    rows
+  };
+}
+
+// CSV文字列に変換（BOMは呼び出し側で付与）
+export function toCsv(rows, headers) {
+  return [
+    headers.join(','),
+    ...rows.map(row =>
+      headers.map(h => {
+        const val = row[h];
+        if (val === null || val === undefined) return '';
+        if (typeof val === 'string' && (val.includes(',') || val.includes('\n') || val.includes('"'))) {
+          return `"${val.replace(/"/g, '""')}"`;
+        }
+        return val;
+      }).join(',')
+    )
+  ].join('\n');
+}
+
+// ============================================================
+// 患者別シート（Excel）
+// ============================================================
+
+// 患者情報 + 患者×検体ごとの検査シート + 治療薬 + 臨床経過 のワークブックを作成
+export function buildClinicalWorkbook(allPatientData) {
+  const wb = XLSX.utils.book_new();
+
+  // 1. 患者情報シート
+  const patientInfoSheet = XLSX.utils.json_to_sheet(allPatientData.map(p => ({
+    PatientID: p.id,
+    Diagnosis: p.diagnosis,
+    Group: p.group,
+    OnsetDate: p.onsetDate
+  })));
+  XLSX.utils.book_append_sheet(wb, patientInfoSheet, '患者情報');
+
+  // 2. 患者ごと×検体ごとにシートを作成
+  allPatientData.forEach(patient => {
+    if (patient.labResults.length === 0) return;
+
+    // 検体タイプでグループ化
+    const specimenGroups = {};
+    patient.labResults.forEach(lab => {
+      const specimen = lab.specimen || 'Other';
+      if (!specimenGroups[specimen]) {
+        specimenGroups[specimen] = [];
+      }
+      specimenGroups[specimen].push(lab);
+    });
+
+    Object.entries(specimenGroups).forEach(([specimen, labs]) => {
+      labs.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+      const allItems = new Set();
+      labs.forEach(lab => {
+        lab.items.forEach(item => allItems.add(item.item));
+      });
+      const itemList = Array.from(allItems).sort();
+
+      if (itemList.length === 0) return;
+
+      const dayLabels = labs.map((lab, idx) => {
+        const day = lab.dayFromOnset;
+        return day !== '' && day !== null ? `Day${day}` : `Day${idx + 1}`;
+      });
+
+      const sheetData = [];
+
+      // ヘッダー行: Patient ID と検体タイプ
+      const headerRow = [`Patient ID: ${patient.id}`, '', `検体: ${specimen}`];
+      labs.forEach(() => headerRow.push(''));
+      sheetData.push(headerRow);
+      sheetData.push([]);
+      sheetData.push(['検査項目', '単位', ...dayLabels]);
+      sheetData.push(['採取日', 'YYYY/MM/DD', ...labs.map(lab => lab.date || '')]);
+      sheetData.push([]);
+
+      itemList.forEach(itemName => {
+        // 単位は最初に見つかったものを使用
+        let unit = '';
+        for (const lab of labs) {
+          const found = lab.items.find(i => i.item === itemName);
+          if (found && found.unit) {
+            unit = found.unit;
+            break;
+          }
+        }
+
+        const values = labs.map(lab => {
+          const found = lab.items.find(i => i.item === itemName);
+          return found ? found.value : '';
+        });
+
+        sheetData.push([itemName, unit, ...values]);
+      });
+
+      // シート名（最大31文字、特殊文字除去）
+      const sheetName = `${patient.id}_${specimen}`.replace(/[\\\/\?\*\[\]:]/g, '_').substring(0, 31);
+
+      const ws = XLSX.utils.aoa_to_sheet(sheetData);
+      ws['!cols'] = [
+        { wch: 15 }, // 検査項目
+        { wch: 12 }, // 単位
+        ...labs.map(() => ({ wch: 12 })) // 各日付
+      ];
+
+      XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    });
+  });
+
+  // 3. 治療薬シート
+  const treatmentData = [];
+  allPatientData.forEach(patient => {
+    patient.treatments.forEach(t => {
+      treatmentData.push({
+        PatientID: patient.id,
+        Category: t.category || '',
+        Medication: t.medicationName || '',
+        Dosage: t.dosage || '',
+        Unit: t.dosageUnit || '',
+        StartDate: t.startDate || '',
+        StartDay: calcDaysFromOnset(patient.onsetDate, t.startDate),
+        EndDate: t.endDate || '',
+        EndDay: calcDaysFromOnset(patient.onsetDate, t.endDate),
+        Note: t.note || ''
+      });
+    });
+  });
+  if (treatmentData.length > 0) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(treatmentData), '治療薬');
+  }
+
+  // 4. 臨床経過シート
+  const eventData = [];
+  allPatientData.forEach(patient => {
+    patient.events.forEach(e => {
+      eventData.push({
+        PatientID: patient.id,
+        EventType: e.eventType || '',
+        StartDate: e.startDate || '',
+        StartDay: calcDaysFromOnset(patient.onsetDate, e.startDate),
+        EndDate: e.endDate || '',
+        EndDay: calcDaysFromOnset(patient.onsetDate, e.endDate),
+        JCS: e.jcs || '',
+        Frequency: e.frequency || '',
+        Severity: e.severity || '',
+        Note: e.note || ''
+      });
+    });
+  });
+  if (eventData.length > 0) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(eventData), '臨床経過');
+  }
+
+  return wb;
+}
@@ -4,377 +4,60 @@
  */
 
 const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentWritten, onDocumentWrittenWithAuthContext, onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { setGlobalOptions } = require("firebase-functions/v2");
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { getAuth } = require("firebase-admin/auth");
+const { getStorage } = require("firebase-admin/storage");
 const vision = require("@google-cloud/vision");
 
 // コスト管理のためのグローバル設定
 setGlobalOptions({ maxInstances: 10, region: "asia-northeast1" });
 
+// Admin SDK初期化（Firestore/Authへのサーバー側アクセス用）
+initializeApp();
+const firestore = getFirestore();
+
 // Vision APIクライアント
 const visionClient = new vision.ImageAnnotatorClient();
 
-// 検査項目のマッピング
-const labItemMapping = {
-  // 蛋白
-  'TP': ['TP', '総蛋白', '総タンパク'],
-  'Alb': ['Alb', 'ALB', 'アルブミン', 'ｱﾙﾌﾞﾐﾝ'],
-  'A/G': ['A/G', 'A/G比', 'AG比'],
-
-  // 腎機能
-  'BUN': ['BUN', 'UN', '尿素窒素'],
-  'Cr': ['Cr', 'CRE', 'クレアチニン', 'ｸﾚｱﾁﾆﾝ'],
-  'eGFR': ['eGFR', 'EGFR', '推算GFR'],
-  'Ccr': ['Ccr', 'CCR', '推算Ccr'],
-  'UA': ['UA', '尿酸'],
-
-  // 肝機能
-  'AST': ['AST', 'GOT'],
-  'ALT': ['ALT', 'GPT'],
-  'γ-GTP': ['γ-GTP', 'GGT', 'γGTP', 'r-GTP', 'ガンマGTP'],
-  'ALP': ['ALP', 'アルカリフォスファターゼ'],
-  'LDH': ['LDH', 'LD', '乳酸脱水素酵素'],
-  'T-Bil': ['T-Bil', 'TB', '総ビリルビン', '総ビ'],
-  'D-Bil': ['D-Bil', 'DB', '直接ビリルビン', '直ビ', '直接ビ'],
-  'I-Bil': ['I-Bil', '間接ビリルビン', '間接ビ', '間ビ'],
-  'ChE': ['ChE', 'CHE', 'コリンエステラーゼ'],
-
-  // 電解質
-  'Na': ['Na', 'ナトリウム'],
-  'K': ['K', 'カリウム'],
-  'Cl': ['Cl', 'クロール'],
-  'Ca': ['Ca', 'カルシウム'],
-  'IP': ['IP', 'P', 'リン', '無機リン'],
-  'Mg': ['Mg', 'マグネシウム'],
-  'Fe': ['Fe', '鉄', '血清鉄'],
-  '補正Ca': ['補正Ca', '補正カルシウム'],
-
-  // 血算
-  'WBC': ['WBC', '白血球', '白血球数'],
-  'RBC': ['RBC', '赤血球', '赤血球数'],
-  'Hb': ['Hb', 'HGB', 'ヘモグロビン', 'ﾍﾓｸﾞﾛﾋﾞﾝ'],
-  'Hct': ['Hct', 'HCT', 'ヘマトクリット', 'ﾍﾏﾄｸﾘｯﾄ'],
-  'PLT': ['PLT', '血小板', '血小板数'],
-  'MCV': ['MCV'],
-  'MCH': ['MCH'],
-  'MCHC': ['MCHC'],
-  'Ret': ['Ret', '網赤血球'],
-
-  // 血液像
-  'Baso': ['Baso', '好塩基球'],
-  'Eosino': ['Eosino', 'Eos', '好酸球'],
-  'Neut': ['Neut', 'Neu', '好中球', 'Neut-T'],
-  'Lymph': ['Lymph', 'Lym', 'リンパ球'],
-  'Mono': ['Mono', 'Mon', '単球'],
-  'Seg': ['Seg', '分葉核球'],
-  'Stab': ['Stab', '桿状核球'],
-
-  // 炎症マーカー
-  'CRP': ['CRP', 'C反応性蛋白'],
-  'ESR': ['ESR', '赤沈', '血沈'],
-  'PCT': ['PCT', 'プロカルシトニン'],
-
-  // 凝固
-  'PT': ['PT', 'プロトロンビン時間'],
-  'APTT': ['APTT'],
-  'Fib': ['Fib', 'フィブリノゲン', 'Fbg'],
-  'D-dimer': ['D-dimer', 'Dダイマー', 'DD'],
-  'FDP': ['FDP'],
-
-  // 糖代謝
-  'Glu': ['Glu', 'GLU', '血糖', 'BS', 'グルコース'],
-  'HbA1c': ['HbA1c', 'A1c', 'ヘモグロビンA1c'],
-
-  // 脂質
-  'TC': ['TC', 'T-Cho', '総コレステロール'],
-  'TG': ['TG', '中性脂肪', 'トリグリセリド'],
-  'HDL': ['HDL', 'HDL-C', 'HDLコレステロール'],
-  'LDL': ['LDL', 'LDL-C', 'LDLコレステロール'],
-
-  // 心筋マーカー
-  'CK': ['CK', 'CPK'],
-  'CK-MB': ['CK-MB', 'CKMB'],
-  'BNP': ['BNP'],
-  'NT-proBNP': ['NT-proBNP'],
-
-  // 甲状腺
-  'TSH': ['TSH'],
-  'FT3': ['FT3', '遊離T3'],
-  'FT4': ['FT4', '遊離T4'],
-
-  // 腫瘍マーカー
-  'CA19-9': ['CA19-9', 'CA199'],
-  'CA125': ['CA125'],
-  'CEA': ['CEA'],
-  'AFP': ['AFP'],
-  'PSA': ['PSA'],
-  'SCC': ['SCC'],
-
-  // その他
-  'Amy': ['Amy', 'AMY', 'アミラーゼ'],
-  'Lip': ['Lip', 'リパーゼ'],
-  'NH3': ['NH3', 'アンモニア'],
-
-  // ============================================
-  // 髄液検査（CSF）
-  // ============================================
-  'CSF細胞数': ['CSF細胞数', '髄液細胞数', '細胞数', '髄液細胞', 'CSF細胞'],
-  'CSF蛋白': ['CSF蛋白', '髄液蛋白', '髄液タンパク', '髄液TP'],
-  'CSF糖': ['CSF糖', '髄液糖', '髄液Glu'],
-  'CSF-IgG': ['CSF-IgG', '髄液IgG', 'CSF IgG'],
-  'IgG index': ['IgG index', 'IgGインデックス', 'IgG Index'],
-  'CSF-Alb': ['CSF-Alb', '髄液アルブミン', '髄液Alb'],
-  'Qalb': ['Qalb', 'Q-Alb', 'アルブミン商'],
-  'OCB': ['OCB', 'オリゴクローナルバンド', 'オリゴクローナル'],
-  'MBP': ['MBP', 'ミエリン塩基性蛋白', 'ミエリン塩基性タンパク'],
-
-  // ============================================
-  // 自己抗体（神経）
-  // ============================================
-  '抗NMDA受容体抗体': ['抗NMDA受容体抗体', 'NMDA受容体抗体', 'anti-NMDAR', 'NMDAR抗体'],
-  '抗MOG抗体': ['抗MOG抗体', 'MOG抗体', 'anti-MOG', 'MOG-IgG'],
-  '抗AQP4抗体': ['抗AQP4抗体', 'AQP4抗体', 'anti-AQP4', 'アクアポリン4抗体'],
-  '抗GAD抗体': ['抗GAD抗体', 'GAD抗体', 'anti-GAD', 'GAD65抗体'],
-  '抗VGCC抗体': ['抗VGCC抗体', 'VGCC抗体', 'P/Q型VGCC抗体'],
-  '抗VGKC抗体': ['抗VGKC抗体', 'VGKC抗体', 'VGKC複合体抗体'],
-  '抗LGI1抗体': ['抗LGI1抗体', 'LGI1抗体', 'anti-LGI1'],
-  '抗CASPR2抗体': ['抗CASPR2抗体', 'CASPR2抗体', 'anti-CASPR2'],
-  '抗Hu抗体': ['抗Hu抗体', 'Hu抗体', 'anti-Hu', 'ANNA-1'],
-  '抗Yo抗体': ['抗Yo抗体', 'Yo抗体', 'anti-Yo', 'PCA-1'],
-  '抗Ri抗体': ['抗Ri抗体', 'Ri抗体', 'anti-Ri', 'ANNA-2'],
-  '抗AMPA受容体抗体': ['抗AMPA受容体抗体', 'AMPA受容体抗体', 'anti-AMPAR'],
-  '抗GABA-B受容体抗体': ['抗GABA-B受容体抗体', 'GABA-B受容体抗体'],
-  '抗GQ1b抗体': ['抗GQ1b抗体', 'GQ1b抗体', 'anti-GQ1b'],
-  '抗GM1抗体': ['抗GM1抗体', 'GM1抗体', 'anti-GM1'],
-  '抗GD1a抗体': ['抗GD1a抗体', 'GD1a抗体'],
-  '抗アセチルコリン受容体抗体': ['抗AChR抗体', 'AChR抗体', 'アセチルコリン受容体抗体'],
-  '抗MuSK抗体': ['抗MuSK抗体', 'MuSK抗体', 'anti-MuSK'],
-
-  // ============================================
-  // サイトカイン・炎症マーカー
-  // ============================================
-  'IL-6': ['IL-6', 'IL6', 'インターロイキン6', 'インターロイキン-6'],
-  'IL-2': ['IL-2', 'IL2', 'インターロイキン2'],
-  'IL-1β': ['IL-1β', 'IL-1b', 'IL1β', 'インターロイキン1β'],
-  'IL-8': ['IL-8', 'IL8', 'インターロイキン8'],
-  'IL-10': ['IL-10', 'IL10', 'インターロイキン10'],
-  'TNF-α': ['TNF-α', 'TNFα', 'TNF-a', 'TNFa', '腫瘍壊死因子'],
-  'IFN-γ': ['IFN-γ', 'IFNγ', 'IFN-g', 'インターフェロンγ'],
-  'sIL-2R': ['sIL-2R', 'sIL2R', '可溶性IL-2受容体', '可溶性IL-2R'],
-  'ネオプテリン': ['ネオプテリン', 'Neopterin'],
-  'フェリチン': ['フェリチン', 'Ferritin', 'Fer'],
-  'β2MG': ['β2MG', 'β2ミクログロブリン', 'β2-MG', 'B2MG'],
-
-  // ============================================
-  // 神経関連マーカー
-  // ============================================
-  'NSE': ['NSE', '神経特異的エノラーゼ', '神経特異エノラーゼ'],
-  'S-100β': ['S-100β', 'S100β', 'S-100', 'S100', 'S100B'],
-  'GFAP': ['GFAP', 'グリア線維性酸性蛋白'],
-  'NfL': ['NfL', 'NFL', 'ニューロフィラメント軽鎖', 'ニューロフィラメントL'],
-  'タウ蛋白': ['タウ蛋白', 'Tau', 'タウ', 'CSF-Tau'],
-  'Aβ42': ['Aβ42', 'アミロイドβ42', 'Aβ1-42'],
-  'Aβ40': ['Aβ40', 'アミロイドβ40', 'Aβ1-40'],
-  '14-3-3蛋白': ['14-3-3蛋白', '14-3-3', '14-3-3タンパク'],
-
-  // ============================================
-  // 筋疾患関連
-  // ============================================
-  'アルドラーゼ': ['アルドラーゼ', 'ALD', 'Aldolase'],
-  'ミオグロビン': ['ミオグロビン', 'Myoglobin', 'Mb'],
-
-  // ============================================
-  // 乳酸・ピルビン酸
-  // ============================================
-  'Lac': ['Lac', '乳酸', 'Lactate', '血中乳酸'],
-  'Pyr': ['Pyr', 'ピルビン酸', 'Pyruvate', 'ピルビン酸'],
-  'L/P比': ['L/P比', 'L/P', '乳酸/ピルビン酸比', '乳酸ピルビン酸比'],
-  'CSF乳酸': ['CSF乳酸', '髄液乳酸', 'CSF-Lac'],
-  'CSFピルビン酸': ['CSFピルビン酸', '髄液ピルビン酸', 'CSF-Pyr'],
-
-  // ============================================
-  // 血液ガス
-  // ============================================
-  'pH': ['pH', 'ペーハー'],
-  'PaO2': ['PaO2', 'pO2', '動脈血酸素分圧', '酸素分圧'],
-  'PaCO2': ['PaCO2', 'pCO2', '動脈血二酸化炭素分圧', '二酸化炭素分圧'],
-  'HCO3': ['HCO3', 'HCO3-', '重炭酸イオン', '重炭酸'],
-  'BE': ['BE', 'Base Excess', 'ベースエクセス', '塩基過剰'],
-  'SaO2': ['SaO2', 'SpO2', '酸素飽和度', '動脈血酸素飽和度'],
-  'AG': ['AG', 'Anion Gap', 'アニオンギャップ'],
-  'A-aDO2': ['A-aDO2', 'AaDO2', '肺胞気動脈血酸素分圧較差'],
-
-  // ============================================
-  // 尿検査
-  // ============================================
-  '尿pH': ['尿pH', 'U-pH', '尿ペーハー'],
-  '尿比重': ['尿比重', 'U-SG', 'SG'],
-  '尿蛋白': ['尿蛋白', 'U-Pro', 'U-TP', '尿タンパク'],
-  '尿蛋白定量': ['尿蛋白定量', '尿中蛋白', 'U-Pro定量'],
-  '尿糖': ['尿糖', 'U-Glu', 'U-GLU'],
-  '尿潜血': ['尿潜血', 'U-BLD', 'U-OB', '尿中潜血'],
-  '尿ケトン': ['尿ケトン', 'U-Ket', 'ケトン体'],
-  '尿ビリルビン': ['尿ビリルビン', 'U-Bil'],
-  '尿ウロビリノーゲン': ['尿ウロビリノーゲン', 'U-Uro', 'ウロビリノーゲン'],
-  '尿亜硝酸塩': ['尿亜硝酸塩', 'U-NIT', '亜硝酸'],
-  '尿白血球': ['尿白血球', 'U-WBC', 'U-Leu', '尿中白血球'],
-  '尿赤血球': ['尿赤血球', 'U-RBC', '尿中赤血球'],
-  '尿円柱': ['尿円柱', '円柱'],
-  '尿細菌': ['尿細菌', 'U-Bact', '細菌'],
-  'NAG': ['NAG', 'U-NAG', '尿中NAG'],
-  'β2MG(尿)': ['β2MG(尿)', '尿中β2MG', 'U-β2MG', 'U-B2MG'],
-  'Alb/Cre比': ['Alb/Cre比', 'UACR', '尿アルブミン/クレアチニン比', 'ACR'],
-  '尿中アルブミン': ['尿中アルブミン', 'U-Alb', '尿アルブミン'],
-  'U-Cr': ['U-Cr', '尿クレアチニン', '尿中クレアチニン'],
-  'Ccr(24時間)': ['Ccr(24時間)', '24時間Ccr', 'クレアチニンクリアランス'],
-  '尿浸透圧': ['尿浸透圧', 'U-Osm', 'U-OSM'],
-  '尿Na': ['尿Na', 'U-Na', '尿中Na', '尿中ナトリウム'],
-  '尿K': ['尿K', 'U-K', '尿中K', '尿中カリウム'],
-  '尿Cl': ['尿Cl', 'U-Cl', '尿中Cl', '尿中クロール'],
-  'FENa': ['FENa', 'ナトリウム排泄分画'],
-};
+// 検査項目辞書（クライアントと共有）
+const {
+  defaultLabDictionary,
+  buildLabDictionary,
+  getLabItemUnit,
+  convertLabItemToSystem,
+  removePII
+} = require("./labDictionary.mjs");
+
+// ユーザーの組織メンバーシップを取得（なければ null）
+// firestore.rules の isMemberOfOrg と同じく、organizationMembers/{uid}_{orgId} のみを有効とする
+// （紐付け前のもの・旧形式のものはログイン時に linkOrgMemberships がこのIDへ移す）
+async function findOrgMembership(uid, orgId) {
+  const memberDoc = await firestore.doc(`organizationMembers/${uid}_${orgId}`).get();
+  return memberDoc.exists && memberDoc.get('uid') === uid && memberDoc.get('orgId') === orgId ? memberDoc : null;
+}
 
-// 単位マッピング
-const labItemUnits = {
-  // 血算
-  'WBC': '/μL', 'RBC': '×10⁴/μL', 'Hb': 'g/dL', 'Hct': '%', 'PLT': '×10⁴/μL',
-  'MCV': 'fL', 'MCH': 'pg', 'MCHC': '%', 'Ret': '%',
-  'Baso': '%', 'Eosino': '%', 'Neut': '%', 'Lymph': '%', 'Mono': '%',
-  // 炎症
-  'CRP': 'mg/dL', 'ESR': 'mm/h', 'PCT': 'ng/mL',
-  // 肝機能
-  'AST': 'U/L', 'ALT': 'U/L', 'γ-GTP': 'U/L', 'ALP': 'U/L', 'LDH': 'U/L',
-  'T-Bil': 'mg/dL', 'D-Bil': 'mg/dL', 'I-Bil': 'mg/dL', 'ChE': 'U/L',
-  // 腎機能
-  'BUN': 'mg/dL', 'Cr': 'mg/dL', 'eGFR': 'mL/min/1.73m²', 'Ccr': 'mL/min', 'UA': 'mg/dL',
-  // 電解質
-  'Na': 'mEq/L', 'K': 'mEq/L', 'Cl': 'mEq/L', 'Ca': 'mg/dL', 'IP': 'mg/dL',
-  'Mg': 'mg/dL', 'Fe': 'μg/dL', '補正Ca': 'mg/dL',
-  // 蛋白
-  'TP': 'g/dL', 'Alb': 'g/dL', 'A/G': '',
-  // 糖代謝
-  'Glu': 'mg/dL', 'HbA1c': '%',
-  // 脂質
-  'TC': 'mg/dL', 'TG': 'mg/dL', 'HDL': 'mg/dL', 'LDL': 'mg/dL',
-  // 凝固
-  'PT': '秒', 'APTT': '秒', 'Fib': 'mg/dL', 'D-dimer': 'μg/mL', 'FDP': 'μg/mL',
-  // 心筋
-  'CK': 'U/L', 'CK-MB': 'U/L', 'BNP': 'pg/mL', 'NT-proBNP': 'pg/mL',
-  // 甲状腺
-  'TSH': 'μIU/mL', 'FT3': 'pg/mL', 'FT4': 'ng/dL',
-  // 腫瘍マーカー
-  'CA19-9': 'U/mL', 'CA125': 'U/mL', 'CEA': 'ng/mL', 'AFP': 'ng/mL', 'PSA': 'ng/mL', 'SCC': 'ng/mL',
-  // 酵素
-  'Amy': 'U/L', 'Lip': 'U/L', 'NH3': 'μg/dL',
-
-  // ============================================
-  // 髄液検査（CSF）
-  // ============================================
-  'CSF細胞数': '/μL', 'CSF蛋白': 'mg/dL', 'CSF糖': 'mg/dL',
-  'CSF-IgG': 'mg/dL', 'IgG index': '', 'CSF-Alb': 'mg/dL', 'Qalb': '',
-  'OCB': '', 'MBP': 'pg/mL',
-
-  // ============================================
-  // 自己抗体
-  // ============================================
-  '抗NMDA受容体抗体': '', '抗MOG抗体': '', '抗AQP4抗体': '',
-  '抗GAD抗体': 'U/mL', '抗VGCC抗体': '', '抗VGKC抗体': '',
-  '抗LGI1抗体': '', '抗CASPR2抗体': '',
-  '抗Hu抗体': '', '抗Yo抗体': '', '抗Ri抗体': '',
-  '抗AMPA受容体抗体': '', '抗GABA-B受容体抗体': '',
-  '抗GQ1b抗体': '', '抗GM1抗体': '', '抗GD1a抗体': '',
-  '抗アセチルコリン受容体抗体': 'nmol/L', '抗MuSK抗体': '',
-
-  // ============================================
-  // サイトカイン
-  // ============================================
-  'IL-6': 'pg/mL', 'IL-2': 'pg/mL', 'IL-1β': 'pg/mL', 'IL-8': 'pg/mL', 'IL-10': 'pg/mL',
-  'TNF-α': 'pg/mL', 'IFN-γ': 'pg/mL',
-  'sIL-2R': 'U/mL', 'ネオプテリン': 'nmol/L',
-  'フェリチン': 'ng/mL', 'β2MG': 'mg/L',
-
-  // ============================================
-  // 神経関連マーカー
-  // ============================================
-  'NSE': 'ng/mL', 'S-100β': 'pg/mL', 'GFAP': 'pg/mL', 'NfL': 'pg/mL',
-  'タウ蛋白': 'pg/mL', 'Aβ42': 'pg/mL', 'Aβ40': 'pg/mL', '14-3-3蛋白': '',
-
-  // ============================================
-  // 筋疾患関連
-  // ============================================
-  'アルドラーゼ': 'U/L', 'ミオグロビン': 'ng/mL',
-
-  // ============================================
-  // 乳酸・ピルビン酸
-  // ============================================
-  'Lac': 'mmol/L', 'Pyr': 'mg/dL', 'L/P比': '',
-  'CSF乳酸': 'mmol/L', 'CSFピルビン酸': 'mg/dL',
-
-  // ============================================
-  // 血液ガス
-  // ============================================
-  'pH': '', 'PaO2': 'mmHg', 'PaCO2': 'mmHg',
-  'HCO3': 'mEq/L', 'BE': 'mEq/L', 'SaO2': '%',
-  'AG': 'mEq/L', 'A-aDO2': 'mmHg',
-
-  // ============================================
-  // 尿検査
-  // ============================================
-  '尿pH': '', '尿比重': '', '尿蛋白': '', '尿蛋白定量': 'mg/日',
-  '尿糖': '', '尿潜血': '', '尿ケトン': '', '尿ビリルビン': '',
-  '尿ウロビリノーゲン': '', '尿亜硝酸塩': '', '尿白血球': '/HPF', '尿赤血球': '/HPF',
-  '尿円柱': '/LPF', '尿細菌': '',
-  'NAG': 'U/L', 'β2MG(尿)': 'μg/L',
-  'Alb/Cre比': 'mg/gCr', '尿中アルブミン': 'mg/日',
-  'U-Cr': 'mg/dL', 'Ccr(24時間)': 'mL/min',
-  '尿浸透圧': 'mOsm/kg', '尿Na': 'mEq/L', '尿K': 'mEq/L', '尿Cl': 'mEq/L',
-  'FENa': '%',
-};
+// 組織の拡張（別名・新規項目）を反映した辞書を取得
+// orgId 未指定時は既定の辞書。組織のメンバーでなければ拒否する
+async function loadLabDictionary(uid, orgId) {
+  if (!orgId) return defaultLabDictionary;
 
-// 個人情報除外パターン
-const piiPatterns = [
-  /患者(名|氏名|ID|番号)\s*[:：]?\s*[\u4e00-\u9faf\u3040-\u309f\u30a0-\u30ffA-Za-z0-9]+/g,
-  /〒?\d{3}-?\d{4}/g,
-  /[\u4e00-\u9faf]+[都道府県][\u4e00-\u9faf]+[市区町村]/g,
-  /\d{4}[年\/\-]\d{1,2}[月\/\-]\d{1,2}[日]?\s*(生|生年月日)/g,
-  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
-  /\d{2,4}-\d{2,4}-\d{4}/g,
-  /(様|殿|御中)/g,
-];
-
-// 項目名を正規化
-function normalizeLabItem(rawName) {
-  const cleaned = rawName.trim()
-    .replace(/\s+/g, '')
-    .replace(/（/g, '(')
-    .replace(/）/g, ')')
-    .replace(/[ー−]/g, '-');
-
-  for (const [normalizedName, aliases] of Object.entries(labItemMapping)) {
-    for (const alias of aliases) {
-      // 完全一致
-      if (cleaned === alias || cleaned.toLowerCase() === alias.toLowerCase()) {
-        return normalizedName;
-      }
-      // 括弧付き表記 (例: "AST(GOT)")
-      if (cleaned.includes('(') && cleaned.split('(')[0] === alias) {
-        return normalizedName;
-      }
-      // 部分一致（日本語項目名）
-      if (alias.length >= 3 && cleaned.includes(alias)) {
-        return normalizedName;
-      }
-    }
+  const memberDoc = await findOrgMembership(uid, orgId);
+  if (!memberDoc) {
+    throw new HttpsError('permission-denied', 'この組織の検査辞書を参照する権限がありません');
   }
-  return null;
+
+  const orgDoc = await firestore.doc(`organizations/${orgId}`).get();
+  return buildLabDictionary(orgDoc.get('labDictionaryExtensions') || []);
 }
 
 // テキストから検査値を抽出
-function extractLabData(text) {
+function extractLabData(text, dictionary = defaultLabDictionary) {
   // 個人情報を除去
-  let cleanedText = text;
-  piiPatterns.forEach(pattern => {
-    cleanedText = cleanedText.replace(pattern, '[REMOVED]');
-  });
+  const cleanedText = removePII(text);
 
   const lines = cleanedText.split('\n').map(l => l.trim()).filter(l => l.length > 0);
   const extractedData = [];
@@ -386,7 +69,7 @@ function extractLabData(text) {
     const withoutLineNum = line.replace(/^\d+\s+/, '');
 
     // 各検査項目を探す
-    for (const [normalizedName, aliases] of Object.entries(labItemMapping)) {
+    for (const [normalizedName, aliases] of Object.entries(dictionary.mapping)) {
       if (foundItems.has(normalizedName)) continue;
 
       for (const alias of aliases) {
@@ -394,29 +77,35 @@ function extractLabData(text) {
         if (withoutLineNum.includes(alias) || line.includes(alias)) {
           // 同じ行に数値があるか確認
           let value = null;
+          // 帳票上の判定マーカー（H/L/N）
+          let reportedFlag = null;
 
-          // パターン1: 項目名の後に数値 (例: "AST (GOT) 64")
-          const sameLineMatch = line.match(new RegExp(alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '[^\\d]*(\\d+\\.?\\d*)'));
+          // パターン1: 項目名の後に数値 (例: "AST (GOT) 64 H")
+          const sameLineMatch = line.match(new RegExp(alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '[^\\d]*(\\d+\\.?\\d*)\\s*([HLN](?![A-Za-z/]))?'));
           if (sameLineMatch && sameLineMatch[1]) {
             value = parseFloat(sameLineMatch[1]);
+            reportedFlag = sameLineMatch[2] || null;
           }
 
           // パターン2: 次の行に数値がある (Cloud Visionの出力形式)
           if (value === null && i + 1 < lines.length) {
             const nextLine = lines[i + 1];
             // 次の行が数値で始まる場合
-            const nextLineMatch = nextLine.match(/^([\d.]+)\s*[HLN]?/);
+            const nextLineMatch = nextLine.match(/^([\d.]+)\s*([HLN](?![A-Za-z/]))?/);
             if (nextLineMatch) {
               value = parseFloat(nextLineMatch[1]);
+              reportedFlag = nextLineMatch[2] || null;
             }
           }
 
           if (value !== null && !isNaN(value) && value >= 0) {
-            extractedData.push({
+            const labEntry = {
               item: normalizedName,
               value: value,
-              unit: labItemUnits[normalizedName] || ''
-            });
+              unit: getLabItemUnit(normalizedName, dictionary)
+            };
+            if (reportedFlag) labEntry.reportedFlag = reportedFlag;
+            extractedData.push(labEntry);
             foundItems.add(normalizedName);
             break;
           }
@@ -520,7 +209,7 @@ function extractLabData(text) {
         extractedData.push({
           item: name,
           value: value,
-          unit: labItemUnits[name] || ''
+          unit: getLabItemUnit(name, dictionary)
         });
         foundItems.add(name);
       }
@@ -540,12 +229,14 @@ exports.processLabImage = onCall(
       throw new HttpsError('unauthenticated', '認証が必要です');
     }
 
-    const { imageBase64 } = request.data;
+    const { imageBase64, orgId } = request.data;
 
     if (!imageBase64) {
       throw new HttpsError('invalid-argument', '画像データが必要です');
     }
 
+    const dictionary = await loadLabDictionary(request.auth.uid, orgId);
+
     try {
       // Base64からBufferに変換
       const imageBuffer = Buffer.from(imageBase64, 'base64');
@@ -570,7 +261,7 @@ exports.processLabImage = onCall(
       console.log('OCR Full Text:', fullText);
 
       // 検査値を抽出
-      const extractedData = extractLabData(fullText);
+      const extractedData = extractLabData(fullText, dictionary);
 
       return {
         success: true,
@@ -717,10 +408,7 @@ exports.processSummaryImage = onCall(
       console.log('OCR Text Length:', ocrText.length);
 
       // 個人情報を除去
-      let cleanedText = ocrText;
-      piiPatterns.forEach(pattern => {
-        cleanedText = cleanedText.replace(pattern, '[個人情報削除]');
-      });
+      const cleanedText = removePII(ocrText, '[個人情報削除]');
 
       // Step 2: Claude APIで構造化
       console.log('Step 2: Structuring with Claude API...');
@@ -805,10 +493,7 @@ exports.parseSummaryText = onCall(
       console.log('parseSummaryText: Input text length:', text.length);
 
       // 個人情報を除去
-      let cleanedText = text;
-      piiPatterns.forEach(pattern => {
-        cleanedText = cleanedText.replace(pattern, '[個人情報削除]');
-      });
+      const cleanedText = removePII(text, '[個人情報削除]');
 
       // Claude APIで構造化
       console.log('Structuring with Claude API...');
@@ -861,3 +546,1196 @@ exports.parseSummaryText = onCall(
     }
   }
 );
+
+// ============================================================
+// 監査ログ（Audit Trail）
+// 患者・検査・治療・臨床イベントへの全ての書き込みを記録
+// ============================================================
+
+// 監査対象のルートコレクション
+// organizations/{orgId}, studies/{studyId}, users/{uid} の配下の patients を監視
+const AUDITED_ROOTS = ['organizations', 'studies', 'users'];
+
+// 監査対象のサブコレクション
+const AUDITED_SUBCOLLECTIONS = ['labResults', 'treatments', 'clinicalEvents'];
+
+// UID → メールアドレスのキャッシュ（同一インスタンス内）
+const actorEmailCache = new Map();
+
+async function resolveActorEmail(uid) {
+  if (!uid) return null;
+  if (actorEmailCache.has(uid)) return actorEmailCache.get(uid);
+  try {
+    const userRecord = await getAuth().getUser(uid);
+    const email = userRecord.email || null;
+    actorEmailCache.set(uid, email);
+    return email;
+  } catch (err) {
+    console.error('Audit: failed to resolve actor email:', err.message);
+    return null;
+  }
+}
+
+// 書き込みイベントから監査ログを作成
+// ログは {root}/{scopeId}/auditLogs に保存し、クライアントからは書き換え不可（firestore.rules）
+async function writeAuditLog(root, event) {
+  const { scopeId, patientId, subcollection, docId } = event.params;
+
+  // 監査対象外のサブコレクションは無視
+  if (subcollection && !AUDITED_SUBCOLLECTIONS.includes(subcollection)) return;
+
+  const beforeData = event.data?.before?.exists ? event.data.before.data() : null;
+  const afterData = event.data?.after?.exists ? event.data.after.data() : null;
+
+  if (!beforeData && !afterData) return;
+
+  // 内容が変わらない書き込みは記録しない
+  if (beforeData && afterData && JSON.stringify(beforeData) === JSON.stringify(afterData)) return;
+
+  const action = !beforeData ? 'create' : !afterData ? 'delete' : 'update';
+
+  // authType: 'app_user' | 'admin' | 'unauthenticated' | 'unknown' | 'system'
+  const actorUid = event.authType === 'app_user' ? event.authId : null;
+  const actorEmail = await resolveActorEmail(actorUid);
+
+  const path = [root, scopeId, 'patients', patientId, subcollection, docId]
+    .filter(Boolean)
+    .join('/');
+
+  await firestore.collection(root).doc(scopeId).collection('auditLogs').add({
+    path,
+    scopeType: root,
+    scopeId,
+    patientId,
+    collection: subcollection || 'patients',
+    docId: docId || patientId,
+    action,
+    before: beforeData,
+    after: afterData,
+    actorUid,
+    actorEmail,
+    authType: event.authType || 'unknown',
+    eventId: event.id,
+    eventTime: event.time,
+    timestamp: FieldValue.serverTimestamp()
+  });
+}
+
+for (const root of AUDITED_ROOTS) {
+  const prefix = root === 'organizations' ? 'Org' : root === 'studies' ? 'Study' : 'User';
+
+  // 患者ドキュメント
+  exports[`audit${prefix}Patient`] = onDocumentWrittenWithAuthContext(
+    `${root}/{scopeId}/patients/{patientId}`,
+    (event) => writeAuditLog(root, event)
+  );
+
+  // 検査データ・治療薬・臨床イベント
+  exports[`audit${prefix}PatientRecord`] = onDocumentWrittenWithAuthContext(
+    `${root}/{scopeId}/patients/{patientId}/{subcollection}/{docId}`,
+    (event) => writeAuditLog(root, event)
+  );
+}
+
+// ============================================================
+// コホートスナップショット（解析用の非正規化データ）
+// 患者ごとに検査・治療・臨床イベントを1ドキュメントにまとめ、
+// 解析時のN+1読み取りを {root}/{scopeId}/cohortSnapshots の1クエリに置き換える
+// ============================================================
+
+// スナップショットを作成するルート（クライアントが患者を保存する場所）
+const COHORT_ROOTS = ['studies', 'users'];
+
+// サブコレクションと並び順（クライアントの従来のクエリと同じ）
+const COHORT_SUBCOLLECTIONS = {
+  labResults: 'date',
+  treatments: 'startDate',
+  clinicalEvents: 'startDate'
+};
+
+// Firestoreのドキュメント上限（1MiB）に余裕を持たせた閾値
+// 超える患者は oversized とし、クライアントがサブコレクションを直接読む
+const COHORT_SNAPSHOT_MAX_BYTES = 900 * 1024;
+
+// 患者1人分のスナップショットを再構築（論理削除済みのデータは含めない）
+async function rebuildCohortSnapshot(root, scopeId, patientId) {
+  const scopeRef = firestore.collection(root).doc(scopeId);
+  const patientRef = scopeRef.collection('patients').doc(patientId);
+  const snapshotRef = scopeRef.collection('cohortSnapshots').doc(patientId);
+
+  await firestore.runTransaction(async (tx) => {
+    const patientDoc = await tx.get(patientRef);
+    if (!patientDoc.exists) {
+      tx.delete(snapshotRef);
+      return;
+    }
+
+    const records = {};
+    for (const [subcollection, orderField] of Object.entries(COHORT_SUBCOLLECTIONS)) {
+      const snapshot = await tx.get(patientRef.collection(subcollection).orderBy(orderField, 'asc'));
+      records[subcollection] = snapshot.docs
+        .filter(d => !d.get('deletedAt'))
+        .map(d => ({ id: d.id, ...d.data() }));
+    }
+
+    if (Buffer.byteLength(JSON.stringify(records)) > COHORT_SNAPSHOT_MAX_BYTES) {
+      tx.set(snapshotRef, { oversized: true, updatedAt: FieldValue.serverTimestamp() });
+      return;
+    }
+
+    tx.set(snapshotRef, { ...records, oversized: false, updatedAt: FieldValue.serverTimestamp() });
+  });
+}
+
+// Firestore の orderBy と同じ並び（並び順フィールドが同じならドキュメントID順）
+function compareCohortRecords(orderField) {
+  return (a, b) => {
+    if (a[orderField] < b[orderField]) return -1;
+    if (a[orderField] > b[orderField]) return 1;
+    return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+  };
+}
+
+// 変更された1件だけをスナップショットに反映（サブコレクション全体は読み直さない）
+// 変更されたドキュメントはトランザクション内で読み直すため、トリガーの到着順が前後しても最新の状態になる
+// スナップショットが未作成の場合と、oversized の患者でデータが減った場合のみ全体を再構築する
+async function applyCohortSnapshotChange(root, scopeId, patientId, subcollection, docId) {
+  const scopeRef = firestore.collection(root).doc(scopeId);
+  const recordRef = scopeRef.collection('patients').doc(patientId).collection(subcollection).doc(docId);
+  const snapshotRef = scopeRef.collection('cohortSnapshots').doc(patientId);
+  const orderField = COHORT_SUBCOLLECTIONS[subcollection];
+
+  const needsRebuild = await firestore.runTransaction(async (tx) => {
+    const [snapshotDoc, recordDoc] = await Promise.all([tx.get(snapshotRef), tx.get(recordRef)]);
+    if (!snapshotDoc.exists) return true;
+
+    const included = recordDoc.exists && !recordDoc.get('deletedAt') && recordDoc.get(orderField) !== undefined;
+    if (snapshotDoc.get('oversized')) return !included;
+
+    const records = (snapshotDoc.get(subcollection) || []).filter(r => r.id !== docId);
+    if (included) {
+      records.push({ id: recordDoc.id, ...recordDoc.data() });
+      records.sort(compareCohortRecords(orderField));
+    }
+
+    const data = {};
+    for (const name of Object.keys(COHORT_SUBCOLLECTIONS)) {
+      data[name] = name === subcollection ? records : (snapshotDoc.get(name) || []);
+    }
+    if (Buffer.byteLength(JSON.stringify(data)) > COHORT_SNAPSHOT_MAX_BYTES) {
+      tx.set(snapshotRef, { oversized: true, updatedAt: FieldValue.serverTimestamp() });
+      return false;
+    }
+
+    tx.set(snapshotRef, { ...data, oversized: false, updatedAt: FieldValue.serverTimestamp() });
+    return false;
+  });
+
+  if (needsRebuild) {
+    await rebuildCohortSnapshot(root, scopeId, patientId);
+  }
+}
+
+for (const root of COHORT_ROOTS) {
+  const prefix = root === 'studies' ? 'Study' : 'User';
+
+  // 患者ドキュメントの完全削除時はスナップショットも削除
+  exports[`syncCohort${prefix}Patient`] = onDocumentWrittenWithAuthContext(
+    `${root}/{scopeId}/patients/{patientId}`,
+    async (event) => {
+      if (event.data?.after?.exists) return;
+      const { scopeId, patientId } = event.params;
+      await firestore.doc(`${root}/${scopeId}/cohortSnapshots/${patientId}`).delete();
+    }
+  );
+
+  // 検査データ・治療薬・臨床イベントの変更をスナップショットに反映
+  exports[`syncCohort${prefix}PatientRecord`] = onDocumentWrittenWithAuthContext(
+    `${root}/{scopeId}/patients/{patientId}/{subcollection}/{docId}`,
+    async (event) => {
+      const { scopeId, patientId, subcollection, docId } = event.params;
+      if (!COHORT_SUBCOLLECTIONS[subcollection]) return;
+      await applyCohortSnapshotChange(root, scopeId, patientId, subcollection, docId);
+    }
+  );
+}
+
+// スナップショット未作成の患者を一括で作成（既存データの移行用）
+exports.rebuildCohortSnapshots = onCall(
+  { cors: true, maxInstances: 10, timeoutSeconds: 540 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const { studyId } = request.data || {};
+
+    if (studyId) {
+      const memberDoc = await firestore.doc(`studyMembers/${uid}_${studyId}`).get();
+      if (!memberDoc.exists) {
+        throw new HttpsError('permission-denied', 'この研究のデータにアクセスする権限がありません');
+      }
+    }
+
+    const root = studyId ? 'studies' : 'users';
+    const scopeId = studyId || uid;
+    const scopeRef = firestore.collection(root).doc(scopeId);
+
+    const [patientsSnapshot, cohortSnapshot] = await Promise.all([
+      scopeRef.collection('patients').get(),
+      scopeRef.collection('cohortSnapshots').get()
+    ]);
+    const existing = new Set(cohortSnapshot.docs.map(d => d.id));
+
+    let rebuilt = 0;
+    for (const patientDoc of patientsSnapshot.docs) {
+      if (existing.has(patientDoc.id)) continue;
+      await rebuildCohortSnapshot(root, scopeId, patientDoc.id);
+      rebuilt++;
+    }
+
+    return { success: true, rebuilt };
+  }
+);
+
+// ============================================================
+// サーバー側コホートエクスポート
+// 大規模な研究のエクスポートをブラウザではなく Cloud Functions で作成し、Cloud Storage に保存
+// ジョブは exportJobs/{jobId} で管理し、作成者だけが状態を参照・ダウンロードできる
+// ============================================================
+
+const XLSX = require("xlsx");
+const {
+  buildExportPatient,
+  buildLongFormatTables,
+  buildWideFormatTable,
+  buildIntegratedFormatTable,
+  buildClinicalWorkbook,
+  toCsv
+} = require("./cohortExport.mjs");
+
+// 組織の役割と権限（クライアントと共有）
+const { orgRoleHasCapability, normalizeOrgRoleCapabilities, getPersonalDataCapabilities } = require("./orgRoles.mjs");
+
+// 組織のセキュリティポリシー（クライアントと共有）
+const { normalizeSecurityPolicy, mergeSecurityPolicies, isRecentAuth } = require("./securityPolicy.mjs");
+
+// ユーザーが所属する全組織のセキュリティポリシー（最も厳しい設定）を取得
+async function loadUserSecurityPolicy(uid) {
+  const memberships = await firestore.collection('organizationMembers').where('uid', '==', uid).get();
+  const orgDocs = await Promise.all(
+    memberships.docs.map(d => firestore.doc(`organizations/${d.get('orgId')}`).get())
+  );
+  return mergeSecurityPolicies(orgDocs.filter(d => d.exists).map(d => d.get('securityPolicy')));
+}
+
+// ユーザーの mfaRequired / reauthRequired クレームを所属組織のポリシーに合わせる
+// （firestore.rules の isMfaSatisfied / isRecentAuthSatisfied で参照）
+// ログイン時（beforeUserSignedInCheckAllowlist）に加え、組織のポリシーやメンバーシップが変わったときにも更新する
+// 二要素認証が新たに必須になったユーザーのうち未設定の人は、リフレッシュトークンを無効化して再ログインを求める
+// （設定済みの人のログインは二要素認証を経ているため、次のIDトークンの更新でクレームを反映するだけでよい）
+async function syncSecurityPolicyClaims(uid) {
+  const [policy, userRecord] = await Promise.all([loadUserSecurityPolicy(uid), getAuth().getUser(uid)]);
+  const claims = userRecord.customClaims || {};
+  if ((claims.mfaRequired === true) === policy.mfaRequired &&
+      (claims.reauthRequired === true) === policy.reauthForDestructive) return;
+
+  await getAuth().setCustomUserClaims(uid, {
+    ...claims,
+    mfaRequired: policy.mfaRequired,
+    reauthRequired: policy.reauthForDestructive
+  });
+  if (policy.mfaRequired && claims.mfaRequired !== true &&
+      (userRecord.multiFactor?.enrolledFactors || []).length === 0) {
+    await getAuth().revokeRefreshTokens(uid);
+  }
+}
+
+// 組織のポリシーで二要素認証・再認証の必須化が変わったら、メンバー全員のクレームを更新
+exports.syncOrgSecurityPolicyClaims = onDocumentWritten('organizations/{orgId}', async (event) => {
+  const before = normalizeSecurityPolicy(event.data?.before?.get('securityPolicy'));
+  const after = normalizeSecurityPolicy(event.data?.after?.get('securityPolicy'));
+  if (before.mfaRequired === after.mfaRequired && before.reauthForDestructive === after.reauthForDestructive) return;
+
+  const memberships = await firestore.collection('organizationMembers')
+    .where('orgId', '==', event.params.orgId)
+    .get();
+  const uids = [...new Set(memberships.docs.map(d => d.get('uid')).filter(Boolean))];
+  for (const uid of uids) {
+    try {
+      await syncSecurityPolicyClaims(uid);
+    } catch (error) {
+      console.error('Security Policy Claim Sync Error:', uid, error);
+    }
+  }
+});
+
+// 組織のポリシーが求める二要素認証・再認証を満たしているか確認（一括エクスポートなど）
+async function assertSecurityPolicyForDestructiveAction(auth) {
+  const policy = await loadUserSecurityPolicy(auth.uid);
+  if (policy.mfaRequired && !auth.token.firebase?.sign_in_second_factor) {
+    throw new HttpsError('permission-denied', '所属組織のポリシーにより二要素認証でのログインが必要です');
+  }
+  if (policy.reauthForDestructive && !isRecentAuth(auth.token.auth_time * 1000)) {
+    throw new HttpsError('failed-precondition', '所属組織のポリシーにより、この操作の前にパスワードの再入力が必要です');
+  }
+}
+
+// サーバー側で作成できる形式（FHIR はブラウザのみ）
+const SERVER_EXPORT_FORMATS = ['long', 'wide', 'integrated', 'excel_by_sheet'];
+
+// 研究でエクスポート可能な役割（組織は役割ごとの権限設定 roleCapabilities の export で判定）
+const EXPORT_ROLES = {
+  studies: ['pi', 'coordinator', 'editor', 'monitor']
+};
+
+// 作成したファイルの保持期間（時間）と、ダウンロードリンクの有効期間（分）
+const EXPORT_RETENTION_HOURS = 24;
+const EXPORT_LINK_MINUTES = 15;
+
+const CSV_BOM = '\uFEFF';
+
+// 個人データ（users/{uid}/patients）の権限を確認（firestore.rules の hasPersonalDataCapability と同じ条件）
+// 組織に所属していなければ全て可能、所属していれば全組織での役割の権限の共通部分（userOrgMemberships/{uid}）に従う
+async function assertPersonalDataCapability(uid, capability) {
+  const membershipsDoc = await firestore.doc(`userOrgMemberships/${uid}`).get();
+  if ((membershipsDoc.get('orgIds') || []).length === 0) return;
+  if ((membershipsDoc.get('personalCapabilities') || []).includes(capability)) return;
+
+  const [userRecord, sysAdminDoc] = await Promise.all([
+    getAuth().getUser(uid),
+    firestore.doc('config/systemAdmin').get()
+  ]);
+  if (!(sysAdminDoc.get('emails') || []).includes(userRecord.email)) {
+    throw new HttpsError('permission-denied', '所属組織での役割ではこの操作を行う権限がありません');
+  }
+}
+
+// エクスポート対象のスコープと呼び出し元の権限を確認
+// scope: 'study' | 'organization' | 'personal'
+async function resolveExportScope(uid, scope, scopeId) {
+  if (scope === 'personal') {
+    await assertPersonalDataCapability(uid, 'export');
+    return { root: 'users', scopeId: uid };
+  }
+
+  if (scope === 'study' && scopeId) {
+    const memberDoc = await firestore.doc(`studyMembers/${uid}_${scopeId}`).get();
+    if (!memberDoc.exists || !EXPORT_ROLES.studies.includes(memberDoc.get('role'))) {
+      throw new HttpsError('permission-denied', 'この研究のデータをエクスポートする権限がありません（PI・施設責任者・編集者・モニターのみ）');
+    }
+    return { root: 'studies', scopeId };
+  }
+
+  if (scope === 'organization' && scopeId) {
+    const [memberDoc, orgDoc] = await Promise.all([
+      findOrgMembership(uid, scopeId),
+      firestore.doc(`organizations/${scopeId}`).get()
+    ]);
+    if (!memberDoc || !orgDoc.exists ||
+        !orgRoleHasCapability(memberDoc.get('role'), 'export', orgDoc.get('roleCapabilities'))) {
+      throw new HttpsError('permission-denied', 'この組織のデータをエクスポートする権限がありません');
+    }
+    return { root: 'organizations', scopeId };
+  }
+
+  throw new HttpsError('invalid-argument', 'エクスポート対象が正しくありません');
+}
+
+// 患者ごとの検査・治療・臨床イベントを取得（スナップショットがあれば使い、なければサブコレクションを読む）
+async function loadCohortRecords(scopeRef, patientDocs) {
+  const snapshots = await scopeRef.collection('cohortSnapshots').get();
+  const byPatient = new Map(
+    snapshots.docs.filter(d => !d.get('oversized')).map(d => [d.id, d.data()])
+  );
+
+  const records = new Map();
+  for (const patientDoc of patientDocs) {
+    if (byPatient.has(patientDoc.id)) {
+      records.set(patientDoc.id, byPatient.get(patientDoc.id));
+      continue;
+    }
+    const entry = {};
+    for (const [subcollection, orderField] of Object.entries(COHORT_SUBCOLLECTIONS)) {
+      const snapshot = await patientDoc.ref.collection(subcollection).orderBy(orderField, 'asc').get();
+      entry[subcollection] = snapshot.docs
+        .filter(d => !d.get('deletedAt'))
+        .map(d => ({ id: d.id, ...d.data() }));
+    }
+    records.set(patientDoc.id, entry);
+  }
+  return records;
+}
+
+// 形式ごとのファイル（{ name, contentType, content }）を作成
+function buildExportFiles(format, allPatientData, options, dateStr) {
+  const csvFile = (name, table) => ({
+    name,
+    contentType: 'text/csv; charset=utf-8',
+    content: Buffer.from(CSV_BOM + toCsv(table.rows, table.headers), 'utf8'),
+    rows: table.rows.length
+  });
+
+  if (format === 'long') {
+    const { lab, treatments, events } = buildLongFormatTables(allPatientData, options);
+    return [
+      csvFile(`lab_data_long_${dateStr}.csv`, lab),
+      csvFile(`treatment_data_${dateStr}.csv`, treatments),
+      csvFile(`clinical_events_${dateStr}.csv`, events)
+    ].filter(file => file.rows > 0);
+  }
+
+  if (format === 'wide') {
+    const table = buildWideFormatTable(allPatientData, options);
+    return table.itemCount > 0 ? [csvFile(`lab_data_wide_${dateStr}.csv`, table)] : [];
+  }
+
+  if (format === 'integrated') {
+    const table = buildIntegratedFormatTable(allPatientData, options);
+    return table.rows.length > 0 ? [csvFile(`integrated_data_${dateStr}.csv`, table)] : [];
+  }
+
+  const wb = buildClinicalWorkbook(allPatientData);
+  return [{
+    name: `clinical_data_${dateStr}.xlsx`,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    content: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }),
+    rows: wb.SheetNames.length
+  }];
+}
+
+// エクスポートジョブを登録（作成はバックグラウンドの processCohortExport が行う）
+exports.startCohortExport = onCall(
+  { cors: true, maxInstances: 10 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const { format, scope, scopeId, orgId, wideColumnKey, unitSystem } = request.data || {};
+
+    if (!SERVER_EXPORT_FORMATS.includes(format)) {
+      throw new HttpsError('invalid-argument', 'この形式はサーバー側で作成できません');
+    }
+
+    const target = await resolveExportScope(uid, scope, scopeId);
+    await assertSecurityPolicyForDestructiveAction(request.auth);
+
+    const jobRef = await firestore.collection('exportJobs').add({
+      status: 'queued',
+      format,
+      wideColumnKey: ['item', 'loinc', 'jlac10'].includes(wideColumnKey) ? wideColumnKey : 'item',
+      unitSystem: unitSystem === 'si' ? 'si' : 'conventional',
+      scope,
+      root: target.root,
+      scopeId: target.scopeId,
+      orgId: orgId || null,
+      createdBy: uid,
+      createdByEmail: request.auth.token.email || null,
+      createdAt: FieldValue.serverTimestamp()
+    });
+
+    return { success: true, jobId: jobRef.id };
+  }
+);
+
+// エクスポートファイルを作成して Cloud Storage に保存
+exports.processCohortExport = onDocumentCreated(
+  { document: 'exportJobs/{jobId}', timeoutSeconds: 540, memory: '1GiB' },
+  async (event) => {
+    const jobRef = event.data.ref;
+    const job = event.data.data();
+    const { jobId } = event.params;
+
+    try {
+      await jobRef.update({ status: 'running', startedAt: FieldValue.serverTimestamp() });
+
+      // 登録後に権限が外れた場合に備えて再確認
+      const target = await resolveExportScope(job.createdBy, job.scope, job.scopeId);
+      const scopeRef = firestore.collection(target.root).doc(target.scopeId);
+      const dictionary = await loadLabDictionary(job.createdBy, job.orgId);
+
+      const crfFields = target.root === 'studies'
+        ? ((await scopeRef.get()).get('crfFields') || [])
+        : [];
+
+      const patientsSnapshot = await scopeRef.collection('patients').get();
+      const patientDocs = patientsSnapshot.docs.filter(d => !d.get('deletedAt'));
+      const records = await loadCohortRecords(scopeRef, patientDocs);
+
+      // 登録時の単位系に換算（ブラウザでのエクスポートと同じ換算。換算できない値は元の値・単位のまま）
+      const allPatientData = patientDocs.map(d => buildExportPatient(d.data(), records.get(d.id), {
+        convertLabItem: item => convertLabItemToSystem(item, job.unitSystem)
+      }));
+      const dateStr = new Date().toISOString().split('T')[0];
+      const files = buildExportFiles(job.format, allPatientData, {
+        crfFields,
+        labDictionary: dictionary,
+        columnKey: job.wideColumnKey
+      }, dateStr);
+
+      const bucket = getStorage().bucket();
+      const savedFiles = [];
+      for (const file of files) {
+        const path = `exports/${job.createdBy}/${jobId}/${file.name}`;
+        await bucket.file(path).save(file.content, {
+          contentType: file.contentType,
+          resumable: false,
+          metadata: { metadata: { jobId, createdBy: job.createdBy } }
+        });
+        savedFiles.push({ name: file.name, path, size: file.content.length, rows: file.rows });
+      }
+
+      await jobRef.update({
+        status: 'done',
+        files: savedFiles,
+        patientCount: allPatientData.length,
+        completedAt: FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      console.error('Cohort export error:', error);
+      // 途中まで保存したファイルも含めて cleanupCohortExports で削除されるよう保持期限を付ける
+      await jobRef.update({
+        status: 'error',
+        error: error.message,
+        completedAt: FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000)
+      });
+    }
+  }
+);
+
+// 短時間だけ有効なダウンロードリンクを発行
+exports.getCohortExportDownloadUrl = onCall(
+  { cors: true, maxInstances: 10 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const { jobId, fileName } = request.data || {};
+    if (!jobId) {
+      throw new HttpsError('invalid-argument', 'ジョブIDが必要です');
+    }
+
+    const jobDoc = await firestore.doc(`exportJobs/${jobId}`).get();
+    if (!jobDoc.exists || jobDoc.get('createdBy') !== uid) {
+      throw new HttpsError('not-found', 'エクスポートが見つかりません');
+    }
+
+    const job = jobDoc.data();
+    if (job.status !== 'done') {
+      throw new HttpsError('failed-precondition', 'エクスポートはまだ完了していません');
+    }
+    if (job.expiresAt && job.expiresAt.toMillis() < Date.now()) {
+      throw new HttpsError('failed-precondition', 'エクスポートの保持期間が過ぎています。再度作成してください');
+    }
+
+    await resolveExportScope(uid, job.scope, job.scopeId);
+
+    const file = (job.files || []).find(f => f.name === fileName);
+    if (!file) {
+      throw new HttpsError('not-found', 'ファイルが見つかりません');
+    }
+
+    const [url] = await getStorage().bucket().file(file.path).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + EXPORT_LINK_MINUTES * 60 * 1000,
+      responseDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`
+    });
+
+    return { success: true, url };
+  }
+);
+
+// 保持期間を過ぎたエクスポートファイルとジョブを削除
+exports.cleanupCohortExports = onSchedule('every 6 hours', async () => {
+  const expired = await firestore.collection('exportJobs')
+    .where('expiresAt', '<', new Date())
+    .get();
+
+  const bucket = getStorage().bucket();
+  for (const jobDoc of expired.docs) {
+    await bucket.deleteFiles({ prefix: `exports/${jobDoc.get('createdBy')}/${jobDoc.id}/` });
+    await jobDoc.ref.delete();
+  }
+});
+
+// ============================================================
+// 組織メンバーシップの紐付け
+// ============================================================
+// firestore.rules は organizationMembers/{uid}_{orgId} でメンバーかどうか・役割を判定する
+// 組織の管理者が追加したメンバーシップ（uid 未設定、ドキュメントIDはランダム）は、本人のログイン時に
+// linkOrgMemberships がこのIDへ移す。クライアントは uid を設定できない（firestore.rules）
+// 無料施設のユーザーは、施設に対応する組織（organizations.institutionId）にメンバーとして自動登録する
+// 自動登録先は、システム管理者が組織の作成時に施設を紐付けたもの（institutionLinkedBy あり）に限る
+// （institutionLinkedBy と institutionId はシステム管理者のみ変更可能。firestore.rules）
+// どちらもメールアドレスに基づくため、メールアドレスの所有を確認済み（email_verified）の場合のみ行う
+// 所属施設のクレーム（institutionId）も確認済みの場合のみ付与するため、確認前に登録したユーザーには
+// 確認後のここで付与し、登録時に選んだ施設（users/{uid}.pendingInstitution）をプロファイルに反映する
+// 所属組織の一覧は userOrgMemberships/{uid} に保持し、個人データの権限判定（firestore.rules）に使う
+
+const { findInstitutionForEmail } = require("./signupPolicy.mjs");
+
+// ログインしたユーザーのメンバーシップを {uid}_{orgId} に移し、無料施設の組織に登録する
+exports.linkOrgMemberships = onCall(
+  { cors: true, maxInstances: 10 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const email = String(request.auth.token.email || '').toLowerCase();
+    const emailVerified = request.auth.token.email_verified === true;
+    const institution = findInstitutionForEmail(email);
+    const membersRef = firestore.collection('organizationMembers');
+
+    const [pendingSnapshot, ownSnapshot, institutionOrgs] = await Promise.all([
+      email ? membersRef.where('email', '==', email).where('uid', '==', null).get() : null,
+      membersRef.where('uid', '==', uid).get(),
+      institution
+        ? firestore.collection('organizations').where('institutionId', '==', institution.id).get()
+        : null
+    ]);
+
+    // 所属施設のクレームとプロファイルを反映（クレームを更新した場合、クライアントはIDトークンを更新する）
+    const institutionId = emailVerified && institution ? institution.id : null;
+    let claimsUpdated = false;
+    if (institutionId) {
+      if (request.auth.token.institutionId !== institutionId) {
+        const userRecord = await getAuth().getUser(uid);
+        await getAuth().setCustomUserClaims(uid, { ...(userRecord.customClaims || {}), institutionId });
+        claimsUpdated = true;
+      }
+      const userRef = firestore.doc(`users/${uid}`);
+      const userDoc = await userRef.get();
+      if (userDoc.get('pendingInstitution') === institutionId) {
+        await userRef.update({
+          institution: institutionId,
+          institutionName: institution.name,
+          tier: 'free',
+          pendingInstitution: FieldValue.delete()
+        });
+      }
+    }
+
+    // メールアドレスが未確認の場合は、紐付け済みのもののID移動のみ行い、確認が必要かを返す
+    const provisionedInstitutionOrg = institutionOrgs?.docs.find(d => !!d.get('institutionLinkedBy')) || null;
+    const emailVerificationRequired = !emailVerified &&
+      ((pendingSnapshot && !pendingSnapshot.empty) || !!institution);
+
+    // 移動が必要なもの（未紐付け、または紐付け済みでもIDが {uid}_{orgId} でないもの）
+    const sources = [...(emailVerified ? pendingSnapshot?.docs || [] : []), ...ownSnapshot.docs]
+      .filter(d => d.id !== `${uid}_${d.get('orgId')}` || d.get('uid') !== uid);
+    const institutionOrg = emailVerified ? provisionedInstitutionOrg : null;
+    const orgIds = [...new Set([...sources.map(d => d.get('orgId')), institutionOrg?.id].filter(Boolean))];
+    if (orgIds.length === 0) {
+      return { success: true, linked: 0, emailVerificationRequired, claimsUpdated };
+    }
+
+    const canonicalDocs = await firestore.getAll(...orgIds.map(orgId => membersRef.doc(`${uid}_${orgId}`)));
+    const linkedOrgIds = new Set(canonicalDocs.filter(d => d.exists && d.get('uid') === uid).map(d => d.get('orgId')));
+
+    const batch = firestore.batch();
+    let linked = 0;
+    for (const source of sources) {
+      const orgId = source.get('orgId');
+      const canonicalRef = membersRef.doc(`${uid}_${orgId}`);
+      // 既に紐付け済みの組織は役割を上書きせず、重複分を削除する
+      if (!linkedOrgIds.has(orgId)) {
+        batch.set(canonicalRef, { ...source.data(), uid, email, linkedAt: FieldValue.serverTimestamp() });
+        linkedOrgIds.add(orgId);
+        linked++;
+      }
+      if (source.id !== canonicalRef.id) {
+        batch.delete(source.ref);
+      }
+    }
+
+    if (institutionOrg && !linkedOrgIds.has(institutionOrg.id)) {
+      batch.set(membersRef.doc(`${uid}_${institutionOrg.id}`), {
+        orgId: institutionOrg.id,
+        uid,
+        email,
+        role: 'member',
+        institution: institutionId,
+        joinedAt: FieldValue.serverTimestamp()
+      });
+      linked++;
+    }
+
+    await batch.commit();
+    return { success: true, linked, emailVerificationRequired, claimsUpdated };
+  }
+);
+
+// userOrgMemberships/{uid}（所属組織の一覧と個人データの権限）を更新
+// firestore.rules は {uid}_{orgId} のメンバーシップのみを有効とするため、同じ条件で数える
+async function syncUserOrgMembershipSummary(uid) {
+  const snapshot = await firestore.collection('organizationMembers').where('uid', '==', uid).get();
+  const memberships = snapshot.docs.filter(d => d.id === `${uid}_${d.get('orgId')}`);
+  const orgIds = [...new Set(memberships.map(d => d.get('orgId')))];
+  const orgDocs = orgIds.length > 0
+    ? await firestore.getAll(...orgIds.map(orgId => firestore.doc(`organizations/${orgId}`)))
+    : [];
+  const roleCapabilitiesByOrg = new Map(orgDocs.map(d => [d.id, d.exists ? d.get('roleCapabilities') : undefined]));
+  const personalCapabilities = getPersonalDataCapabilities(memberships.map(d => ({
+    role: d.get('role'),
+    roleCapabilities: roleCapabilitiesByOrg.get(d.get('orgId'))
+  })));
+
+  await firestore.doc(`userOrgMemberships/${uid}`).set({
+    orgIds,
+    personalCapabilities,
+    updatedAt: FieldValue.serverTimestamp()
+  });
+}
+
+// メンバーシップの変更で userOrgMemberships/{uid} を更新
+exports.syncUserOrgMemberships = onDocumentWritten('organizationMembers/{memberId}', async (event) => {
+  const uids = new Set([event.data?.before?.get('uid'), event.data?.after?.get('uid')].filter(Boolean));
+  for (const uid of uids) {
+    await syncUserOrgMembershipSummary(uid);
+
+    // 所属組織が変わると適用されるセキュリティポリシーも変わるため、二要素認証・再認証のクレームも更新
+    try {
+      await syncSecurityPolicyClaims(uid);
+    } catch (error) {
+      console.error('Security Policy Claim Sync Error:', uid, error);
+    }
+  }
+});
+
+// 組織の役割ごとの権限設定が変わったら、メンバー全員の個人データの権限を更新
+exports.syncOrgPersonalDataCapabilities = onDocumentWritten('organizations/{orgId}', async (event) => {
+  const before = normalizeOrgRoleCapabilities(event.data?.before?.get('roleCapabilities'));
+  const after = normalizeOrgRoleCapabilities(event.data?.after?.get('roleCapabilities'));
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  const memberships = await firestore.collection('organizationMembers')
+    .where('orgId', '==', event.params.orgId)
+    .get();
+  const uids = [...new Set(memberships.docs.map(d => d.get('uid')).filter(Boolean))];
+  for (const uid of uids) {
+    try {
+      await syncUserOrgMembershipSummary(uid);
+    } catch (error) {
+      console.error('Personal Capability Sync Error:', uid, error);
+    }
+  }
+});
+
+// ============================================================
+// 研究への招待（署名付き・1回限りの招待トークン）
+// ============================================================
+// PI（施設責任者は自施設の編集者・閲覧者のみ）が招待を発行し、招待されたメールアドレスのユーザーが承諾すると
+// studyMembers/{uid}_{studyId} を作成する。studyMembers はクライアントから作成できない（firestore.rules）
+// トークンは「招待ID・有効期限」を INVITATION_SIGNING_KEY で HMAC 署名したもの
+// 1回限りの利用と取り消しは studyInvitations/{inviteId} の status（pending / accepted / revoked）で管理する
+
+const crypto = require("crypto");
+
+// 招待の有効期間（日）
+const INVITATION_EXPIRY_DAYS = 7;
+
+const STUDY_ROLES = ['pi', 'coordinator', 'editor', 'monitor', 'viewer'];
+
+// 施設責任者が招待できる役割（クライアントの coordinatorAssignableRoles と同じ）
+const COORDINATOR_ASSIGNABLE_ROLES = ['editor', 'viewer'];
+
+function getInvitationSigningKey() {
+  const key = process.env.INVITATION_SIGNING_KEY;
+  if (!key) {
+    throw new Error('INVITATION_SIGNING_KEY環境変数が設定されていません');
+  }
+  return key;
+}
+
+function signInvitationPayload(payload) {
+  return crypto.createHmac('sha256', getInvitationSigningKey()).update(payload).digest('base64url');
+}
+
+function createInvitationToken(inviteId, expiresAtMs) {
+  const payload = Buffer.from(JSON.stringify({ i: inviteId, e: expiresAtMs })).toString('base64url');
+  return `${payload}.${signInvitationPayload(payload)}`;
+}
+
+// 署名と有効期限を検証して招待IDを返す
+function verifyInvitationToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new HttpsError('invalid-argument', '招待リンクが正しくありません');
+  }
+
+  const expected = Buffer.from(signInvitationPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new HttpsError('permission-denied', '招待リンクが正しくありません');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new HttpsError('invalid-argument', '招待リンクが正しくありません');
+  }
+  if (!claims.i || !(claims.e > Date.now())) {
+    throw new HttpsError('deadline-exceeded', '招待リンクの有効期限が切れています');
+  }
+  return claims.i;
+}
+
+// 招待を発行できるか（PI、または自施設の編集者・閲覧者を招待する施設責任者）
+async function assertCanInvite(uid, studyId, role, siteName) {
+  const memberDoc = await firestore.doc(`studyMembers/${uid}_${studyId}`).get();
+  const inviterRole = memberDoc.exists ? memberDoc.get('role') : null;
+  if (inviterRole === 'pi') return;
+
+  const inviterSite = memberDoc.exists ? memberDoc.get('siteName') : '';
+  if (inviterRole === 'coordinator' && inviterSite && inviterSite === siteName &&
+      COORDINATOR_ASSIGNABLE_ROLES.includes(role)) {
+    return;
+  }
+  throw new HttpsError('permission-denied', 'この研究にメンバーを招待する権限がありません（PI・自施設の施設責任者のみ）');
+}
+
+// 招待ドキュメントが承諾可能な状態か確認
+function assertInvitationPending(invitation) {
+  if (!invitation.exists) {
+    throw new HttpsError('not-found', '招待が見つかりません');
+  }
+  if (invitation.get('status') === 'accepted') {
+    throw new HttpsError('failed-precondition', 'この招待は既に使用されています');
+  }
+  if (invitation.get('status') === 'revoked') {
+    throw new HttpsError('failed-precondition', 'この招待は取り消されています');
+  }
+  if (invitation.get('expiresAt').toMillis() < Date.now()) {
+    throw new HttpsError('deadline-exceeded', '招待リンクの有効期限が切れています');
+  }
+}
+
+// 招待を発行して招待トークンを返す（同じメールアドレスへの未承諾の招待は取り消す）
+exports.createStudyInvitation = onCall(
+  { cors: true, maxInstances: 10, secrets: ["INVITATION_SIGNING_KEY"] },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const { studyId, role } = request.data || {};
+    const email = String(request.data?.email || '').trim().toLowerCase();
+    const siteName = String(request.data?.siteName || '').trim();
+
+    if (!studyId || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      throw new HttpsError('invalid-argument', 'メールアドレスを確認してください');
+    }
+    if (!STUDY_ROLES.includes(role)) {
+      throw new HttpsError('invalid-argument', '役割が正しくありません');
+    }
+
+    await assertCanInvite(uid, studyId, role, siteName);
+
+    const studyDoc = await firestore.doc(`studies/${studyId}`).get();
+    if (!studyDoc.exists) {
+      throw new HttpsError('not-found', '研究が見つかりません');
+    }
+
+    // 旧形式のメンバーシップ（pending_{email}_{studyId} など、IDが {uid}_{studyId} でないもの）は
+    // 権限を持たないため、招待に置き換えて削除する
+    const existingMembers = await firestore.collection('studyMembers')
+      .where('studyId', '==', studyId)
+      .where('email', '==', email)
+      .get();
+    const isCurrentMembership = (d) => d.get('uid') && d.id === `${d.get('uid')}_${studyId}`;
+    if (existingMembers.docs.some(isCurrentMembership)) {
+      throw new HttpsError('already-exists', 'このメールアドレスは既に研究のメンバーです');
+    }
+
+    const previous = await firestore.collection('studyInvitations')
+      .where('studyId', '==', studyId)
+      .where('email', '==', email)
+      .where('status', '==', 'pending')
+      .get();
+
+    const inviteRef = firestore.collection('studyInvitations').doc();
+    const expiresAtMs = Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+    const batch = firestore.batch();
+    previous.docs.forEach(d => batch.update(d.ref, {
+      status: 'revoked',
+      revokedBy: uid,
+      revokedAt: FieldValue.serverTimestamp()
+    }));
+    existingMembers.docs.forEach(d => batch.delete(d.ref));
+    batch.set(inviteRef, {
+      studyId,
+      studyNumber: studyDoc.get('studyNumber') || '',
+      studyTitle: studyDoc.get('title') || '',
+      email,
+      role,
+      siteName,
+      status: 'pending',
+      expiresAt: new Date(expiresAtMs),
+      createdBy: uid,
+      createdByEmail: request.auth.token.email || null,
+      createdAt: FieldValue.serverTimestamp()
+    });
+    await batch.commit();
+
+    return { success: true, inviteId: inviteRef.id, token: createInvitationToken(inviteRef.id, expiresAtMs), expiresAt: expiresAtMs };
+  }
+);
+
+// 招待の内容を取得（承諾画面の表示用）
+exports.getStudyInvitation = onCall(
+  { cors: true, maxInstances: 10, secrets: ["INVITATION_SIGNING_KEY"] },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const inviteId = verifyInvitationToken(request.data?.token);
+    const invitation = await firestore.doc(`studyInvitations/${inviteId}`).get();
+    assertInvitationPending(invitation);
+
+    return {
+      success: true,
+      studyNumber: invitation.get('studyNumber'),
+      studyTitle: invitation.get('studyTitle'),
+      role: invitation.get('role'),
+      siteName: invitation.get('siteName'),
+      email: invitation.get('email'),
+      invitedByEmail: invitation.get('createdByEmail'),
+      expiresAt: invitation.get('expiresAt').toMillis(),
+      emailMatches: invitation.get('email') === String(request.auth.token.email || '').toLowerCase(),
+      emailVerified: request.auth.token.email_verified === true
+    };
+  }
+);
+
+// 招待を承諾して研究メンバーに登録（招待されたメールアドレスのユーザーのみ、1回限り）
+// メールアドレスの所有を確認済み（email_verified）のユーザーのみ。未確認のメールアドレスで登録した他人による承諾を防ぐ
+exports.acceptStudyInvitation = onCall(
+  { cors: true, maxInstances: 10, secrets: ["INVITATION_SIGNING_KEY"] },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+    if (request.auth.token.email_verified !== true) {
+      throw new HttpsError('failed-precondition', 'メールアドレスの確認が必要です。確認メールのリンクを開いてから承諾してください');
+    }
+
+    const uid = request.auth.uid;
+    const email = String(request.auth.token.email || '').toLowerCase();
+    const inviteId = verifyInvitationToken(request.data?.token);
+    const inviteRef = firestore.doc(`studyInvitations/${inviteId}`);
+
+    const studyId = await firestore.runTransaction(async (tx) => {
+      const invitation = await tx.get(inviteRef);
+      assertInvitationPending(invitation);
+
+      if (invitation.get('email') !== email) {
+        throw new HttpsError('permission-denied', `この招待は ${invitation.get('email')} 宛てです。招待されたメールアドレスでログインしてください`);
+      }
+
+      const invitedStudyId = invitation.get('studyId');
+      const memberRef = firestore.doc(`studyMembers/${uid}_${invitedStudyId}`);
+      const memberDoc = await tx.get(memberRef);
+      if (memberDoc.exists) {
+        throw new HttpsError('already-exists', '既にこの研究のメンバーです');
+      }
+
+      tx.set(memberRef, {
+        studyId: invitedStudyId,
+        uid,
+        email,
+        role: invitation.get('role'),
+        siteName: invitation.get('siteName') || '',
+        joinedAt: FieldValue.serverTimestamp(),
+        invitedBy: invitation.get('createdBy'),
+        invitationId: inviteId
+      });
+      tx.update(inviteRef, {
+        status: 'accepted',
+        acceptedBy: uid,
+        acceptedAt: FieldValue.serverTimestamp()
+      });
+      return invitedStudyId;
+    });
+
+    return { success: true, studyId };
+  }
+);
+
+// 招待導入前に紐付け済みの旧形式のメンバーシップ（pending_{email}_{studyId} など、uid 設定済み）を
+// ログイン時に studyMembers/{uid}_{studyId} へ移す（firestore.rules は {uid}_{studyId} のみを有効とする）
+// uid 未設定の旧形式のものは本人確認ができないため移さず、PIが招待し直す
+exports.linkStudyMemberships = onCall(
+  { cors: true, maxInstances: 10 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const ownSnapshot = await firestore.collection('studyMembers').where('uid', '==', uid).get();
+    const legacyDocs = ownSnapshot.docs.filter(d => d.id !== `${uid}_${d.get('studyId')}`);
+    if (legacyDocs.length === 0) {
+      return { success: true, migrated: 0 };
+    }
+
+    const canonicalDocs = await firestore.getAll(
+      ...legacyDocs.map(d => firestore.doc(`studyMembers/${uid}_${d.get('studyId')}`))
+    );
+    const linkedStudyIds = new Set(canonicalDocs.filter(d => d.exists).map(d => d.get('studyId')));
+
+    const batch = firestore.batch();
+    let migrated = 0;
+    for (const legacy of legacyDocs) {
+      const studyId = legacy.get('studyId');
+      // 既に {uid}_{studyId} がある研究は役割を上書きせず、旧形式のものを削除する
+      if (!linkedStudyIds.has(studyId)) {
+        batch.set(firestore.doc(`studyMembers/${uid}_${studyId}`), {
+          ...legacy.data(),
+          uid,
+          migratedFrom: legacy.id,
+          migratedAt: FieldValue.serverTimestamp()
+        });
+        linkedStudyIds.add(studyId);
+        migrated++;
+      }
+      batch.delete(legacy.ref);
+    }
+
+    await batch.commit();
+    return { success: true, migrated };
+  }
+);
+
+// ============================================================
+// 新規登録・ログインの許可（ブロッキング関数）
+// ============================================================
+// Firebase Authentication のアカウント作成・ログインの直前に実行され、許可されないメールアドレスを拒否する
+// クライアントから Firebase Auth を直接呼び出しても回避できない。設定の取得に失敗した場合も拒否する（フェイルクローズ）
+// 判定は functions/signupPolicy.mjs（クライアントの入力チェックと共有）
+// 許可したユーザーには所属施設のドメインに対応する institutionId をカスタムクレームとして付与する（firestore.rules で参照）
+// institutionId はメールアドレスの所有を確認済み（email_verified）の場合のみ付与する（確認後は linkOrgMemberships が付与）
+// 拒否した試行は signupRejections に記録し、システム管理パネルで確認できる
+
+const { beforeUserCreated, beforeUserSignedIn } = require("firebase-functions/v2/identity");
+const { evaluateSignupPolicy } = require("./signupPolicy.mjs");
+
+// 許可設定（config/settings・allowedEmails）を取得
+async function loadSignupPolicy() {
+  const [settingsDoc, allowedSnapshot] = await Promise.all([
+    firestore.doc('config/settings').get(),
+    firestore.collection('allowedEmails').get()
+  ]);
+  return {
+    settings: settingsDoc.exists ? settingsDoc.data() : {},
+    allowlist: allowedSnapshot.docs.map(d => d.get('email')).filter(Boolean)
+  };
+}
+
+// 拒否した試行を記録（記録の失敗で判定は変えない）
+async function recordSignupRejection(event, stage, reason) {
+  try {
+    await firestore.collection('signupRejections').add({
+      email: (event.data?.email || '').toLowerCase(),
+      uid: event.data?.uid || null,
+      stage,
+      reason,
+      providerId: event.additionalUserInfo?.providerId || null,
+      ipAddress: event.ipAddress || null,
+      userAgent: event.userAgent || null,
+      attemptedAt: FieldValue.serverTimestamp()
+    });
+  } catch (err) {
+    console.error('Error recording signup rejection:', err);
+  }
+}
+
+// 許可されていれば所属施設のクレームを返し、許可されなければ拒否する
+async function enforceSignupPolicy(event, stage) {
+  const email = event.data?.email || '';
+
+  let result;
+  try {
+    result = evaluateSignupPolicy(email, await loadSignupPolicy());
+  } catch (err) {
+    console.error('Error loading signup policy:', err);
+    result = { allowed: false, reason: 'policy-unavailable' };
+  }
+
+  if (!result.allowed) {
+    await recordSignupRejection(event, stage, result.reason);
+    throw new HttpsError('permission-denied', 'このメールアドレスは登録・ログインが許可されていません');
+  }
+
+  return {
+    customClaims: {
+      ...(event.data?.customClaims || {}),
+      institutionId: event.data?.emailVerified ? result.institutionId : null
+    }
+  };
+}
+
+exports.beforeUserCreatedCheckAllowlist = beforeUserCreated(
+  { maxInstances: 10 },
+  (event) => enforceSignupPolicy(event, 'create')
+);
+
+// 許可リストから外されたユーザーもログインできなくする
+// あわせて所属組織のポリシーで二要素認証・再認証が必須かを mfaRequired / reauthRequired クレームに反映する
+// （firestore.rules の isMfaSatisfied / isRecentAuthSatisfied で参照）
+// ポリシー・メンバーシップの変更時は syncOrgSecurityPolicyClaims / syncUserOrgMemberships がログイン中のユーザーにも反映する
+exports.beforeUserSignedInCheckAllowlist = beforeUserSignedIn(
+  { maxInstances: 10 },
+  async (event) => {
+    const response = await enforceSignupPolicy(event, 'signIn');
+    const policy = await loadUserSecurityPolicy(event.data.uid);
+    response.customClaims.mfaRequired = policy.mfaRequired;
+    response.customClaims.reauthRequired = policy.reauthForDestructive;
+    return response;
+  }
+);
+
+// ============================================================
+// ログイン中の端末（セッション）
+// ============================================================
+// 端末ごとのセッションは users/{uid}/sessions/{sessionId} にクライアントが記録する
+// 「他の端末をすべてログアウト」はリフレッシュトークンを無効化し、他のセッションに revokedAt を付ける
+// （呼び出した端末もトークンが無効になるため、クライアントは続けて再認証する）
+
+exports.signOutOtherSessions = onCall(
+  { cors: true, maxInstances: 10 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', '認証が必要です');
+    }
+
+    const uid = request.auth.uid;
+    const { sessionId } = request.data || {};
+
+    await getAuth().revokeRefreshTokens(uid);
+
+    const sessions = await firestore.collection(`users/${uid}/sessions`).get();
+    const others = sessions.docs.filter(d => d.id !== sessionId && !d.get('revokedAt') && !d.get('signedOutAt'));
+    // セッション数が WriteBatch の上限（500件）を超えても全て更新できるよう BulkWriter を使う
+    const writer = firestore.bulkWriter();
+    others.forEach(d => writer.update(d.ref, {
+      revokedAt: FieldValue.serverTimestamp(),
+      revokedBy: sessionId || null
+    }));
+    await writer.close();
+
+    return { success: true, count: others.length };
+  }
+);
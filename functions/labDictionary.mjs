@@ -0,0 +1,773 @@
+/**
+ * 検査項目辞書（クライアントとCloud Functionsで共有）
+ * 項目名の正規化・標準単位・個人情報除外パターンを一元管理する
+ *
+ * - クライアント: src/App.jsx から import
+ * - Cloud Functions: functions/index.js から require（Node 20.19 以降の require(esm)）
+ * - 各項目に LOINC / JLAC10 コードを付与（他レジストリとの統合・外部ファイルの取り込み用）
+ * - 従来単位 ⇔ SI単位の換算（画面表示とエクスポートで同じ換算にする）
+ * - 組織ごとの追加（別名・新規項目・コード）は organizations/{orgId}.labDictionaryExtensions に保存し、
+ *   buildLabDictionary() で既定の辞書に重ねる
+ *
+ * Firebase SDK などには依存しない純粋な関数のみを置くこと（単体でテストできるようにする）
+ */
+
+// 検査項目の正規化マッピング（正規名 → 別名の一覧）
+export const labItemMapping = {
+  // 蛋白
+  'TP': ['TP', '総蛋白', '総タンパク'],
+  'Alb': ['Alb', 'ALB', 'アルブミン', '7ルブミン', 'ｱﾙﾌﾞﾐﾝ'],
+  'A/G': ['A/G', 'A/G比', 'AG比'],
+
+  // 腎機能
+  'BUN': ['BUN', 'UN', '尿素窒素', 'UN(尿素窒素)'],
+  'Cr': ['Cr', 'CRE', 'クレアチニン', 'CRE(クレアチニン)', 'ｸﾚｱﾁﾆﾝ'],
+  'eGFR': ['eGFR', 'EGFR', '推算GFR'],
+  'Ccr': ['Ccr', 'CCR', '推算Ccr'],
+  'UA': ['UA', '尿酸'],
+
+  // 肝機能
+  'AST': ['AST', 'GOT', 'AST(GOT)'],
+  'ALT': ['ALT', 'GPT', 'ALT(GPT)'],
+  'γ-GTP': ['γ-GTP', 'GGT', 'γGTP', 'r-GTP', 'ガンマGTP'],
+  'ALP': ['ALP', 'ALP_IE', 'ALP_IFCC', 'アルカリフォスファターゼ'],
+  'LDH': ['LDH', 'LD', 'LDH_IE', 'LDH_IFCC', '乳酸脱水素酵素'],
+  'T-Bil': ['T-Bil', 'TB', 'T-Bi1', '総ビリルビン', 'T-BIL(総ビリルビン)', '総ビ'],
+  'D-Bil': ['D-Bil', 'DB', 'D-Bi1', '直接ビリルビン', 'D-BIL(直接ビリルビン)', '直ビ', '直接ビ'],
+  'I-Bil': ['I-Bil', '間接ビリルビン', '間接ビ', '間ビ'],
+  'ChE': ['ChE', 'CHE', 'コリンエステラーゼ'],
+
+  // 電解質
+  'Na': ['Na', 'ナトリウム', 'Na(ナトリウム)'],
+  'K': ['K', 'カリウム', 'K(カリウム)'],
+  'Cl': ['Cl', 'クロール', 'Cl(クロール)'],
+  'Ca': ['Ca', 'カルシウム', 'Ca(カルシウム)'],
+  'IP': ['IP', 'P', 'リン', '無機リン', 'IP(無機リン)'],
+  'Mg': ['Mg', 'マグネシウム', 'Mg(マグネシウム)'],
+  'Fe': ['Fe', '鉄', '血清鉄'],
+  'TIBC': ['TIBC', '総鉄結合能'],
+  'UIBC': ['UIBC', '不飽和鉄結合能'],
+  '補正Ca': ['補正Ca', '補正カルシウム'],
+
+  // 血算
+  'WBC': ['WBC', '白血球', '白血球数'],
+  'RBC': ['RBC', '赤血球', '赤血球数'],
+  'Hb': ['Hb', 'HGB', 'ヘモグロビン', 'ﾍﾓｸﾞﾛﾋﾞﾝ'],
+  'Hct': ['Hct', 'HCT', 'ヘマトクリット', 'ﾍﾏﾄｸﾘｯﾄ'],
+  'PLT': ['PLT', '血小板', '血小板数'],
+  'MCV': ['MCV'],
+  'MCH': ['MCH'],
+  'MCHC': ['MCHC'],
+  'Ret': ['Ret', '網赤血球', 'Retic'],
+
+  // 血液像
+  'Baso': ['Baso', '好塩基球', 'Basophil'],
+  'Eosino': ['Eosino', 'Eos', '好酸球', 'Eosinophil'],
+  'Neut': ['Neut', 'Neu', '好中球', 'Neutrophil', 'Neut-T'],
+  'Lymph': ['Lymph', 'Lym', 'リンパ球', 'Lymphocyte'],
+  'Mono': ['Mono', 'Mon', '単球', 'Monocyte'],
+  'Seg': ['Seg', '分葉核球'],
+  'Stab': ['Stab', '桿状核球'],
+
+  // 炎症マーカー
+  'CRP': ['CRP', 'C反応性蛋白'],
+  'ESR': ['ESR', '赤沈', '血沈'],
+  'PCT': ['PCT', 'プロカルシトニン'],
+
+  // 凝固
+  'PT': ['PT', 'プロトロンビン時間'],
+  'APTT': ['APTT', '活性化部分トロンボプラスチン時間'],
+  'Fib': ['Fib', 'フィブリノゲン', 'Fbg'],
+  'D-dimer': ['D-dimer', 'Dダイマー', 'DD'],
+  'FDP': ['FDP'],
+  'AT-III': ['AT-III', 'AT3', 'アンチトロンビン'],
+
+  // 糖代謝
+  'Glu': ['Glu', 'GLU', '血糖', 'BS', 'グルコース'],
+  'HbA1c': ['HbA1c', 'A1c', 'ヘモグロビンA1c'],
+
+  // 脂質
+  'TC': ['TC', 'T-Cho', '総コレステロール', 'T-CHO'],
+  'TG': ['TG', '中性脂肪', 'トリグリセリド'],
+  'HDL': ['HDL', 'HDL-C', 'HDLコレステロール'],
+  'LDL': ['LDL', 'LDL-C', 'LDLコレステロール'],
+
+  // 心筋マーカー
+  'CK': ['CK', 'CPK'],
+  'CK-MB': ['CK-MB', 'CKMB'],
+  'TnI': ['TnI', 'トロポニンI'],
+  'TnT': ['TnT', 'トロポニンT'],
+  'BNP': ['BNP'],
+  'NT-proBNP': ['NT-proBNP', 'NTproBNP'],
+
+  // 甲状腺
+  'TSH': ['TSH'],
+  'FT3': ['FT3', '遊離T3'],
+  'FT4': ['FT4', '遊離T4'],
+
+  // 腫瘍マーカー
+  'CA19-9': ['CA19-9', 'CA199', 'CA19-9_IE', 'CA19-9_ECLIA'],
+  'CA125': ['CA125', 'CA125_IE', 'CA125_ECLIA'],
+  'CEA': ['CEA'],
+  'AFP': ['AFP'],
+  'PSA': ['PSA'],
+  'SCC': ['SCC', 'SCC_IE', 'SCC_ECLIA'],
+
+  // その他
+  'Amy': ['Amy', 'AMY', 'アミラーゼ'],
+  'Lip': ['Lip', 'リパーゼ'],
+  'CysC': ['CysC', 'シスタチンC'],
+  'NH3': ['NH3', 'アンモニア'],
+  'D/T比': ['D/T比', 'D/T'],
+
+  // ============================================
+  // 髄液検査（CSF）
+  // ============================================
+  'CSF細胞数': ['CSF細胞数', '髄液細胞数', '細胞数', '髄液細胞', 'CSF細胞'],
+  'CSF蛋白': ['CSF蛋白', '髄液蛋白', '髄液タンパク', '髄液TP'],
+  'CSF糖': ['CSF糖', '髄液糖', '髄液Glu'],
+  'CSF-IgG': ['CSF-IgG', '髄液IgG', 'CSF IgG'],
+  'IgG index': ['IgG index', 'IgGインデックス', 'IgG Index'],
+  'CSF-Alb': ['CSF-Alb', '髄液アルブミン', '髄液Alb'],
+  'Qalb': ['Qalb', 'Q-Alb', 'アルブミン商'],
+  'OCB': ['OCB', 'オリゴクローナルバンド', 'オリゴクローナル'],
+  'MBP': ['MBP', 'ミエリン塩基性蛋白', 'ミエリン塩基性タンパク'],
+
+  // ============================================
+  // 自己抗体（神経）
+  // ============================================
+  '抗NMDA受容体抗体': ['抗NMDA受容体抗体', 'NMDA受容体抗体', 'anti-NMDAR', 'NMDAR抗体'],
+  '抗MOG抗体': ['抗MOG抗体', 'MOG抗体', 'anti-MOG', 'MOG-IgG'],
+  '抗AQP4抗体': ['抗AQP4抗体', 'AQP4抗体', 'anti-AQP4', 'アクアポリン4抗体'],
+  '抗GAD抗体': ['抗GAD抗体', 'GAD抗体', 'anti-GAD', 'GAD65抗体'],
+  '抗VGCC抗体': ['抗VGCC抗体', 'VGCC抗体', 'P/Q型VGCC抗体'],
+  '抗VGKC抗体': ['抗VGKC抗体', 'VGKC抗体', 'VGKC複合体抗体'],
+  '抗LGI1抗体': ['抗LGI1抗体', 'LGI1抗体', 'anti-LGI1'],
+  '抗CASPR2抗体': ['抗CASPR2抗体', 'CASPR2抗体', 'anti-CASPR2'],
+  '抗Hu抗体': ['抗Hu抗体', 'Hu抗体', 'anti-Hu', 'ANNA-1'],
+  '抗Yo抗体': ['抗Yo抗体', 'Yo抗体', 'anti-Yo', 'PCA-1'],
+  '抗Ri抗体': ['抗Ri抗体', 'Ri抗体', 'anti-Ri', 'ANNA-2'],
+  '抗AMPA受容体抗体': ['抗AMPA受容体抗体', 'AMPA受容体抗体', 'anti-AMPAR'],
+  '抗GABA-B受容体抗体': ['抗GABA-B受容体抗体', 'GABA-B受容体抗体'],
+  '抗GQ1b抗体': ['抗GQ1b抗体', 'GQ1b抗体', 'anti-GQ1b'],
+  '抗GM1抗体': ['抗GM1抗体', 'GM1抗体', 'anti-GM1'],
+  '抗GD1a抗体': ['抗GD1a抗体', 'GD1a抗体'],
+  '抗アセチルコリン受容体抗体': ['抗AChR抗体', 'AChR抗体', 'アセチルコリン受容体抗体'],
+  '抗MuSK抗体': ['抗MuSK抗体', 'MuSK抗体', 'anti-MuSK'],
+
+  // ============================================
+  // サイトカイン・炎症マーカー
+  // ============================================
+  'IL-6': ['IL-6', 'IL6', 'インターロイキン6', 'インターロイキン-6'],
+  'IL-2': ['IL-2', 'IL2', 'インターロイキン2'],
+  'IL-1β': ['IL-1β', 'IL-1b', 'IL1β', 'インターロイキン1β'],
+  'IL-8': ['IL-8', 'IL8', 'インターロイキン8'],
+  'IL-10': ['IL-10', 'IL10', 'インターロイキン10'],
+  'TNF-α': ['TNF-α', 'TNFα', 'TNF-a', 'TNFa', '腫瘍壊死因子'],
+  'IFN-γ': ['IFN-γ', 'IFNγ', 'IFN-g', 'インターフェロンγ'],
+  'sIL-2R': ['sIL-2R', 'sIL2R', '可溶性IL-2受容体', '可溶性IL-2R'],
+  'ネオプテリン': ['ネオプテリン', 'Neopterin'],
+  'フェリチン': ['フェリチン', 'Ferritin', 'Fer'],
+  'β2MG': ['β2MG', 'β2ミクログロブリン', 'β2-MG', 'B2MG'],
+
+  // ============================================
+  // 神経関連マーカー
+  // ============================================
+  'NSE': ['NSE', '神経特異的エノラーゼ', '神経特異エノラーゼ'],
+  'S-100β': ['S-100β', 'S100β', 'S-100', 'S100', 'S100B'],
+  'GFAP': ['GFAP', 'グリア線維性酸性蛋白'],
+  'NfL': ['NfL', 'NFL', 'ニューロフィラメント軽鎖', 'ニューロフィラメントL'],
+  'タウ蛋白': ['タウ蛋白', 'Tau', 'タウ', 'CSF-Tau'],
+  'Aβ42': ['Aβ42', 'アミロイドβ42', 'Aβ1-42'],
+  'Aβ40': ['Aβ40', 'アミロイドβ40', 'Aβ1-40'],
+  '14-3-3蛋白': ['14-3-3蛋白', '14-3-3', '14-3-3タンパク'],
+
+  // ============================================
+  // 筋疾患関連
+  // ============================================
+  'アルドラーゼ': ['アルドラーゼ', 'ALD', 'Aldolase'],
+  'ミオグロビン': ['ミオグロビン', 'Myoglobin', 'Mb'],
+
+  // ============================================
+  // 乳酸・ピルビン酸
+  // ============================================
+  'Lac': ['Lac', '乳酸', 'Lactate', '血中乳酸'],
+  'Pyr': ['Pyr', 'ピルビン酸', 'Pyruvate'],
+  'L/P比': ['L/P比', 'L/P', '乳酸/ピルビン酸比', '乳酸ピルビン酸比'],
+  'CSF乳酸': ['CSF乳酸', '髄液乳酸', 'CSF-Lac'],
+  'CSFピルビン酸': ['CSFピルビン酸', '髄液ピルビン酸', 'CSF-Pyr'],
+
+  // ============================================
+  // 血液ガス
+  // ============================================
+  'pH': ['pH', 'ペーハー'],
+  'PaO2': ['PaO2', 'pO2', '動脈血酸素分圧', '酸素分圧'],
+  'PaCO2': ['PaCO2', 'pCO2', '動脈血二酸化炭素分圧', '二酸化炭素分圧'],
+  'HCO3': ['HCO3', 'HCO3-', '重炭酸イオン', '重炭酸'],
+  'BE': ['BE', 'Base Excess', 'ベースエクセス', '塩基過剰'],
+  'SaO2': ['SaO2', 'SpO2', '酸素飽和度', '動脈血酸素飽和度'],
+  'AG': ['AG', 'Anion Gap', 'アニオンギャップ'],
+  'A-aDO2': ['A-aDO2', 'AaDO2', '肺胞気動脈血酸素分圧較差'],
+
+  // ============================================
+  // 尿検査
+  // ============================================
+  '尿pH': ['尿pH', 'U-pH', '尿ペーハー'],
+  '尿比重': ['尿比重', 'U-SG', 'SG'],
+  '尿蛋白': ['尿蛋白', 'U-Pro', 'U-TP', '尿タンパク'],
+  '尿蛋白定量': ['尿蛋白定量', '尿中蛋白', 'U-Pro定量'],
+  '尿糖': ['尿糖', 'U-Glu', 'U-GLU'],
+  '尿潜血': ['尿潜血', 'U-BLD', 'U-OB', '尿中潜血'],
+  '尿ケトン': ['尿ケトン', 'U-Ket', 'ケトン体'],
+  '尿ビリルビン': ['尿ビリルビン', 'U-Bil'],
+  '尿ウロビリノーゲン': ['尿ウロビリノーゲン', 'U-Uro', 'ウロビリノーゲン'],
+  '尿亜硝酸塩': ['尿亜硝酸塩', 'U-NIT', '亜硝酸'],
+  '尿白血球': ['尿白血球', 'U-WBC', 'U-Leu', '尿中白血球'],
+  '尿赤血球': ['尿赤血球', 'U-RBC', '尿中赤血球'],
+  '尿円柱': ['尿円柱', '円柱'],
+  '尿細菌': ['尿細菌', 'U-Bact', '細菌'],
+  'NAG': ['NAG', 'U-NAG', '尿中NAG'],
+  'β2MG(尿)': ['β2MG(尿)', '尿中β2MG', 'U-β2MG', 'U-B2MG'],
+  'Alb/Cre比': ['Alb/Cre比', 'UACR', '尿アルブミン/クレアチニン比', 'ACR'],
+  '尿中アルブミン': ['尿中アルブミン', 'U-Alb', '尿アルブミン'],
+  'U-Cr': ['U-Cr', '尿クレアチニン', '尿中クレアチニン'],
+  'Ccr(24時間)': ['Ccr(24時間)', '24時間Ccr', 'クレアチニンクリアランス'],
+  '尿浸透圧': ['尿浸透圧', 'U-Osm', 'U-OSM'],
+  '尿Na': ['尿Na', 'U-Na', '尿中Na', '尿中ナトリウム'],
+  '尿K': ['尿K', 'U-K', '尿中K', '尿中カリウム'],
+  '尿Cl': ['尿Cl', 'U-Cl', '尿中Cl', '尿中クロール'],
+  'FENa': ['FENa', 'ナトリウム排泄分画'],
+};
+
+// 標準単位
+export const labItemUnits = {
+  // 血算
+  'WBC': '/μL', 'RBC': '×10⁴/μL', 'Hb': 'g/dL', 'Hct': '%', 'PLT': '×10⁴/μL',
+  'MCV': 'fL', 'MCH': 'pg', 'MCHC': '%', 'Ret': '%',
+  'Baso': '%', 'Eosino': '%', 'Neut': '%', 'Lymph': '%', 'Mono': '%', 'Seg': '%', 'Stab': '%',
+  // 炎症
+  'CRP': 'mg/dL', 'ESR': 'mm/h', 'PCT': 'ng/mL',
+  // 肝機能
+  'AST': 'U/L', 'ALT': 'U/L', 'γ-GTP': 'U/L', 'ALP': 'U/L', 'LDH': 'U/L',
+  'T-Bil': 'mg/dL', 'D-Bil': 'mg/dL', 'I-Bil': 'mg/dL', 'ChE': 'U/L',
+  // 腎機能
+  'BUN': 'mg/dL', 'Cr': 'mg/dL', 'eGFR': 'mL/min/1.73m²', 'Ccr': 'mL/min', 'UA': 'mg/dL',
+  // 電解質
+  'Na': 'mEq/L', 'K': 'mEq/L', 'Cl': 'mEq/L', 'Ca': 'mg/dL', 'IP': 'mg/dL', 'P': 'mg/dL',
+  'Mg': 'mg/dL', 'Fe': 'μg/dL', 'TIBC': 'μg/dL', 'UIBC': 'μg/dL', '補正Ca': 'mg/dL',
+  // 蛋白
+  'TP': 'g/dL', 'Alb': 'g/dL', 'A/G': '',
+  // 糖代謝
+  'Glu': 'mg/dL', 'HbA1c': '%',
+  // 脂質
+  'TC': 'mg/dL', 'TG': 'mg/dL', 'HDL': 'mg/dL', 'LDL': 'mg/dL',
+  // 凝固
+  'PT': '秒', 'APTT': '秒', 'Fib': 'mg/dL', 'D-dimer': 'μg/mL', 'FDP': 'μg/mL', 'AT-III': '%',
+  // 心筋
+  'CK': 'U/L', 'CK-MB': 'U/L', 'TnI': 'ng/mL', 'TnT': 'ng/mL', 'BNP': 'pg/mL', 'NT-proBNP': 'pg/mL',
+  // 甲状腺
+  'TSH': 'μIU/mL', 'FT3': 'pg/mL', 'FT4': 'ng/dL',
+  // 腫瘍マーカー
+  'CA19-9': 'U/mL', 'CA125': 'U/mL', 'CEA': 'ng/mL', 'AFP': 'ng/mL', 'PSA': 'ng/mL', 'SCC': 'ng/mL',
+  // 酵素
+  'Amy': 'U/L', 'Lip': 'U/L', 'CysC': 'mg/L', 'NH3': 'μg/dL', 'D/T比': '',
+
+  // ============================================
+  // 髄液検査（CSF）
+  // ============================================
+  'CSF細胞数': '/μL', 'CSF蛋白': 'mg/dL', 'CSF糖': 'mg/dL',
+  'CSF-IgG': 'mg/dL', 'IgG index': '', 'CSF-Alb': 'mg/dL', 'Qalb': '',
+  'OCB': '', 'MBP': 'pg/mL',
+
+  // ============================================
+  // 自己抗体
+  // ============================================
+  '抗NMDA受容体抗体': '', '抗MOG抗体': '', '抗AQP4抗体': '',
+  '抗GAD抗体': 'U/mL', '抗VGCC抗体': '', '抗VGKC抗体': '',
+  '抗LGI1抗体': '', '抗CASPR2抗体': '',
+  '抗Hu抗体': '', '抗Yo抗体': '', '抗Ri抗体': '',
+  '抗AMPA受容体抗体': '', '抗GABA-B受容体抗体': '',
+  '抗GQ1b抗体': '', '抗GM1抗体': '', '抗GD1a抗体': '',
+  '抗アセチルコリン受容体抗体': 'nmol/L', '抗MuSK抗体': '',
+
+  // ============================================
+  // サイトカイン
+  // ============================================
+  'IL-6': 'pg/mL', 'IL-2': 'pg/mL', 'IL-1β': 'pg/mL', 'IL-8': 'pg/mL', 'IL-10': 'pg/mL',
+  'TNF-α': 'pg/mL', 'IFN-γ': 'pg/mL',
+  'sIL-2R': 'U/mL', 'ネオプテリン': 'nmol/L',
+  'フェリチン': 'ng/mL', 'β2MG': 'mg/L',
+
+  // ============================================
+  // 神経関連マーカー
+  // ============================================
+  'NSE': 'ng/mL', 'S-100β': 'pg/mL', 'GFAP': 'pg/mL', 'NfL': 'pg/mL',
+  'タウ蛋白': 'pg/mL', 'Aβ42': 'pg/mL', 'Aβ40': 'pg/mL', '14-3-3蛋白': '',
+
+  // ============================================
+  // 筋疾患関連
+  // ============================================
+  'アルドラーゼ': 'U/L', 'ミオグロビン': 'ng/mL',
+
+  // ============================================
+  // 乳酸・ピルビン酸
+  // ============================================
+  'Lac': 'mmol/L', 'Pyr': 'mg/dL', 'L/P比': '',
+  'CSF乳酸': 'mmol/L', 'CSFピルビン酸': 'mg/dL',
+
+  // ============================================
+  // 血液ガス
+  // ============================================
+  'pH': '', 'PaO2': 'mmHg', 'PaCO2': 'mmHg',
+  'HCO3': 'mEq/L', 'BE': 'mEq/L', 'SaO2': '%',
+  'AG': 'mEq/L', 'A-aDO2': 'mmHg',
+
+  // ============================================
+  // 尿検査
+  // ============================================
+  '尿pH': '', '尿比重': '', '尿蛋白': '', '尿蛋白定量': 'mg/日',
+  '尿糖': '', '尿潜血': '', '尿ケトン': '', '尿ビリルビン': '',
+  '尿ウロビリノーゲン': '', '尿亜硝酸塩': '', '尿白血球': '/HPF', '尿赤血球': '/HPF',
+  '尿円柱': '/LPF', '尿細菌': '',
+  'NAG': 'U/L', 'β2MG(尿)': 'μg/L',
+  'Alb/Cre比': 'mg/gCr', '尿中アルブミン': 'mg/日',
+  'U-Cr': 'mg/dL', 'Ccr(24時間)': 'mL/min',
+  '尿浸透圧': 'mOsm/kg', '尿Na': 'mEq/L', '尿K': 'mEq/L', '尿Cl': 'mEq/L',
+  'FENa': '%',
+};
+// 標準コード（LOINC / JLAC10）
+// JLAC10 は測定法まで含む17桁コード。特定健診の標準様式で使われる代表的な測定法のコードを採用し、
+// 測定法が施設で異なる項目・コードが一意に定まらない項目は登録していない（施設の検査辞書で設定する）
+export const labItemCodes = {
+  // 蛋白
+  'TP': { loinc: '2885-2' },
+  'Alb': { loinc: '1751-7' },
+  'A/G': { loinc: '1759-0' },
+
+  // 腎機能
+  'BUN': { loinc: '3094-0' },
+  'Cr': { loinc: '2160-0', jlac10: '3C015000002327101' },
+  'UA': { loinc: '3084-1', jlac10: '3C020000002327101' },
+  'CysC': { loinc: '33863-2' },
+
+  // 肝機能
+  'AST': { loinc: '1920-8', jlac10: '3B035000002327201' },
+  'ALT': { loinc: '1742-6', jlac10: '3B045000002327201' },
+  'γ-GTP': { loinc: '2324-2', jlac10: '3B090000002327101' },
+  'ALP': { loinc: '6768-6' },
+  'LDH': { loinc: '2532-0' },
+  'T-Bil': { loinc: '1975-2' },
+  'D-Bil': { loinc: '1968-7' },
+  'I-Bil': { loinc: '1971-1' },
+  'ChE': { loinc: '2098-2' },
+
+  // 電解質
+  'Na': { loinc: '2951-2' },
+  'K': { loinc: '2823-3' },
+  'Cl': { loinc: '2075-0' },
+  'Ca': { loinc: '17861-6' },
+  '補正Ca': { loinc: '29265-6' },
+  'IP': { loinc: '2777-1' },
+  'Mg': { loinc: '19123-9' },
+  'Fe': { loinc: '2498-4' },
+  'TIBC': { loinc: '2500-7' },
+  'UIBC': { loinc: '2501-5' },
+  'フェリチン': { loinc: '2276-4' },
+
+  // 血算
+  'WBC': { loinc: '6690-2' },
+  'RBC': { loinc: '789-8', jlac10: '2A020000001930101' },
+  'Hb': { loinc: '718-7', jlac10: '2A030000001930101' },
+  'Hct': { loinc: '4544-3', jlac10: '2A040000001930102' },
+  'PLT': { loinc: '777-3' },
+  'MCV': { loinc: '787-2' },
+  'MCH': { loinc: '785-6' },
+  'MCHC': { loinc: '786-4' },
+  'Ret': { loinc: '4679-7' },
+
+  // 血液像
+  'Baso': { loinc: '706-2' },
+  'Eosino': { loinc: '713-8' },
+  'Neut': { loinc: '770-8' },
+  'Lymph': { loinc: '736-9' },
+  'Mono': { loinc: '5905-5' },
+  'Seg': { loinc: '769-0' },
+  'Stab': { loinc: '764-1' },
+
+  // 炎症マーカー
+  'CRP': { loinc: '1988-5' },
+  'ESR': { loinc: '30341-2' },
+  'PCT': { loinc: '33959-8' },
+
+  // 凝固
+  'PT': { loinc: '5902-2' },
+  'APTT': { loinc: '14979-9' },
+  'Fib': { loinc: '3255-7' },
+  'D-dimer': { loinc: '48065-7' },
+  'AT-III': { loinc: '27811-9' },
+
+  // 糖代謝
+  'Glu': { loinc: '2345-7', jlac10: '3D010000002227101' },
+  'HbA1c': { loinc: '4548-4', jlac10: '3D046000001906202' },
+
+  // 脂質
+  'TC': { loinc: '2093-3', jlac10: '3F050000002327101' },
+  'TG': { loinc: '2571-8', jlac10: '3F015000002327101' },
+  'HDL': { loinc: '2085-9', jlac10: '3F070000002327101' },
+  'LDL': { loinc: '18262-6', jlac10: '3F077000002327101' },
+
+  // 心筋マーカー
+  'CK': { loinc: '2157-6' },
+  'CK-MB': { loinc: '32673-6' },
+  'TnI': { loinc: '10839-9' },
+  'TnT': { loinc: '6598-7' },
+  'BNP': { loinc: '30934-4' },
+  'NT-proBNP': { loinc: '33762-6' },
+
+  // 甲状腺
+  'TSH': { loinc: '3016-3' },
+  'FT3': { loinc: '3051-0' },
+  'FT4': { loinc: '3024-7' },
+
+  // 腫瘍マーカー
+  'CA19-9': { loinc: '24108-3' },
+  'CA125': { loinc: '10334-1' },
+  'CEA': { loinc: '2039-6' },
+  'AFP': { loinc: '1834-1' },
+  'PSA': { loinc: '2857-1' },
+
+  // その他
+  'Amy': { loinc: '1798-8' },
+  'Lip': { loinc: '3040-3' },
+  'Lac': { loinc: '2524-7' },
+  'β2MG': { loinc: '1952-1' },
+  'IL-6': { loinc: '26881-3' },
+
+  // 髄液検査
+  'CSF細胞数': { loinc: '26465-5' },
+  'CSF蛋白': { loinc: '2880-3' },
+  'CSF糖': { loinc: '2342-4' },
+
+  // 血液ガス（動脈血）
+  'pH': { loinc: '2744-1' },
+  'PaO2': { loinc: '2703-7' },
+  'PaCO2': { loinc: '2019-8' },
+  'HCO3': { loinc: '1960-4' },
+  'BE': { loinc: '1925-7' },
+  'SaO2': { loinc: '2708-6' },
+  'AG': { loinc: '33037-3' },
+
+  // 尿検査
+  '尿pH': { loinc: '5803-2' },
+  '尿比重': { loinc: '5811-5' },
+  '尿蛋白': { loinc: '20454-5', jlac10: '1A010000000191111' },
+  '尿糖': { loinc: '25428-4', jlac10: '1A020000000191111' },
+  '尿潜血': { loinc: '5794-3' },
+  '尿ケトン': { loinc: '5797-6' },
+  '尿ビリルビン': { loinc: '5770-3' },
+  '尿ウロビリノーゲン': { loinc: '5818-0' },
+  '尿亜硝酸塩': { loinc: '5802-4' },
+  '尿白血球': { loinc: '5821-4' },
+  '尿赤血球': { loinc: '13945-1' },
+  'Alb/Cre比': { loinc: '14959-1' },
+  'U-Cr': { loinc: '2161-8' },
+  'Ccr(24時間)': { loinc: '2164-2' },
+  '尿浸透圧': { loinc: '2695-6' },
+  '尿Na': { loinc: '2955-3' },
+  '尿K': { loinc: '2828-2' },
+  '尿Cl': { loinc: '2078-4' },
+};
+
+// 個人情報除外パターン
+export const piiPatterns = [
+  /患者(名|氏名|ID|番号)\s*[:：]?\s*[\u4e00-\u9faf\u3040-\u309f\u30a0-\u30ffA-Za-z0-9]+/g,
+  /〒?\d{3}-?\d{4}/g,
+  /[\u4e00-\u9faf]+[都道府県][\u4e00-\u9faf]+[市区町村]/g,
+  /\d{4}[年\/\-]\d{1,2}[月\/\-]\d{1,2}[日]?\s*(生|生年月日)/g,
+  /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  /\d{2,4}-\d{2,4}-\d{4}/g, // 電話番号
+  /(様|殿|御中)/g,
+];
+
+// テキストから個人情報を除去
+export function removePII(text, replacement = '[REMOVED]') {
+  return piiPatterns.reduce((cleaned, pattern) => cleaned.replace(pattern, replacement), text || '');
+}
+
+// ============================================================
+// 組織ごとの拡張
+// ============================================================
+// extensions: [{ item, aliases: ['別名', ...], unit, loinc, jlac10 }]
+// - 既存の項目: 別名を追加（標準単位は変更しない）。コードを指定した場合は既定のコードより優先
+// - 新しい項目: 項目と単位・コードを追加
+
+export function sanitizeLabDictionaryExtensions(extensions) {
+  if (!Array.isArray(extensions)) return [];
+  return extensions
+    .map(ext => ({
+      item: String(ext?.item || '').trim(),
+      aliases: [...new Set((Array.isArray(ext?.aliases) ? ext.aliases : [])
+        .map(alias => String(alias).trim())
+        .filter(alias => alias.length > 0))],
+      unit: String(ext?.unit || '').trim(),
+      loinc: String(ext?.loinc || '').trim(),
+      jlac10: String(ext?.jlac10 || '').trim().toUpperCase()
+    }))
+    .filter(ext => ext.item.length > 0);
+}
+
+export function buildLabDictionary(extensions = []) {
+  const mapping = Object.fromEntries(Object.entries(labItemMapping).map(([item, aliases]) => [item, [...aliases]]));
+  const units = { ...labItemUnits };
+  const codes = { ...labItemCodes };
+
+  sanitizeLabDictionaryExtensions(extensions).forEach(({ item, aliases, unit, loinc, jlac10 }) => {
+    if (mapping[item]) {
+      mapping[item] = [...new Set([...mapping[item], ...aliases])];
+    } else {
+      mapping[item] = [item, ...aliases.filter(alias => alias !== item)];
+      units[item] = unit;
+    }
+    if (loinc || jlac10) {
+      codes[item] = { ...codes[item], ...(loinc ? { loinc } : {}), ...(jlac10 ? { jlac10 } : {}) };
+    }
+  });
+
+  return { mapping, units, codes };
+}
+
+export const defaultLabDictionary = buildLabDictionary();
+
+// ============================================================
+// 項目名の正規化
+// ============================================================
+
+// 比較用に表記ゆれを揃える（空白除去・全角括弧・長音/マイナス）
+export function cleanLabItemName(rawName) {
+  return String(rawName ?? '').trim()
+    .replace(/\s+/g, '')
+    .replace(/（/g, '(')
+    .replace(/）/g, ')')
+    .replace(/[ー−]/g, '-');
+}
+
+// 項目名を正規名に変換（見つからなければ null）
+// 優先順位: 1. 完全一致（大文字小文字を無視） 2. 括弧の前が一致（"AST(GOT)"）
+//           3. 3文字以上の別名を含む（最も長い別名を優先。"尿中クロール" は Cl ではなく 尿Cl）
+export function normalizeLabItem(rawName, dictionary = defaultLabDictionary) {
+  const cleaned = cleanLabItemName(rawName);
+  if (!cleaned) return null;
+
+  const entries = Object.entries(dictionary.mapping);
+  const lower = cleaned.toLowerCase();
+
+  for (const [normalizedName, aliases] of entries) {
+    if (aliases.some(alias => cleanLabItemName(alias).toLowerCase() === lower)) return normalizedName;
+  }
+
+  if (cleaned.includes('(')) {
+    const prefix = cleaned.split('(')[0].toLowerCase();
+    for (const [normalizedName, aliases] of entries) {
+      if (aliases.some(alias => cleanLabItemName(alias).toLowerCase() === prefix)) return normalizedName;
+    }
+  }
+
+  let best = null;
+  for (const [normalizedName, aliases] of entries) {
+    for (const alias of aliases) {
+      const cleanedAlias = cleanLabItemName(alias);
+      if (cleanedAlias.length >= 3 && cleaned.includes(cleanedAlias) &&
+          (!best || cleanedAlias.length > best.length)) {
+        best = { name: normalizedName, length: cleanedAlias.length };
+      }
+    }
+  }
+  return best ? best.name : null;
+}
+
+// 正規名の標準単位（辞書にない項目は空文字）
+export function getLabItemUnit(item, dictionary = defaultLabDictionary) {
+  return dictionary.units[item] ?? '';
+}
+
+// ============================================================
+// 標準コード（LOINC / JLAC10）
+// ============================================================
+
+const LOINC_PATTERN = /^\d{1,7}-\d$/;
+const JLAC10_PATTERN = /^[0-9A-Z]{17}$/;
+
+export function isLoincCode(code) {
+  return LOINC_PATTERN.test(String(code ?? '').trim());
+}
+
+export function isJlac10Code(code) {
+  return JLAC10_PATTERN.test(String(code ?? '').trim().toUpperCase());
+}
+
+// 正規名の標準コード（未設定は空文字）
+export function getLabItemCodes(item, dictionary = defaultLabDictionary) {
+  const codes = dictionary.codes[item] || {};
+  return { loinc: codes.loinc || '', jlac10: codes.jlac10 || '' };
+}
+
+// LOINC / JLAC10 コードから正規名を取得（見つからなければ null）
+export function findLabItemByCode(code, dictionary = defaultLabDictionary) {
+  const cleaned = String(code ?? '').trim().toUpperCase();
+  if (!isLoincCode(cleaned) && !isJlac10Code(cleaned)) return null;
+  const found = Object.entries(dictionary.codes)
+    .find(([, codes]) => codes.loinc === cleaned || codes.jlac10 === cleaned);
+  return found ? found[0] : null;
+}
+
+// 外部ファイルの項目列を正規名に変換（コード → 項目名の順に照合）
+export function resolveLabItem(rawNameOrCode, dictionary = defaultLabDictionary) {
+  return findLabItemByCode(rawNameOrCode, dictionary) || normalizeLabItem(rawNameOrCode, dictionary);
+}
+
+// ============================================================
+// 単位換算（従来単位 ⇔ SI単位）
+// ============================================================
+// 正規単位は labItemUnits（従来単位、組織の辞書拡張で追加した項目は換算しない）。units の各単位は「正規単位の値 = 値 × factor + offset」で換算
+// si は SI 単位系で表示・出力するときの単位
+
+export const labUnitRegistry = {
+  'Glu': { si: 'mmol/L', units: { 'mmol/L': { factor: 18.016 } } },
+  'CSF糖': { si: 'mmol/L', units: { 'mmol/L': { factor: 18.016 } } },
+  'Cr': { si: 'μmol/L', units: { 'μmol/L': { factor: 1 / 88.42 } } },
+  'T-Bil': { si: 'μmol/L', units: { 'μmol/L': { factor: 1 / 17.104 } } },
+  'D-Bil': { si: 'μmol/L', units: { 'μmol/L': { factor: 1 / 17.104 } } },
+  'I-Bil': { si: 'μmol/L', units: { 'μmol/L': { factor: 1 / 17.104 } } },
+  'BUN': { si: 'mmol/L', units: { 'mmol/L': { factor: 2.801 } } },
+  'UA': { si: 'μmol/L', units: { 'μmol/L': { factor: 1 / 59.48 } } },
+  'Ca': { si: 'mmol/L', units: { 'mmol/L': { factor: 4.008 }, 'mEq/L': { factor: 2.004 } } },
+  '補正Ca': { si: 'mmol/L', units: { 'mmol/L': { factor: 4.008 }, 'mEq/L': { factor: 2.004 } } },
+  'IP': { si: 'mmol/L', units: { 'mmol/L': { factor: 3.097 } } },
+  'Mg': { si: 'mmol/L', units: { 'mmol/L': { factor: 2.431 }, 'mEq/L': { factor: 1.2155 } } },
+  'Na': { si: 'mmol/L', units: { 'mmol/L': { factor: 1 } } },
+  'K': { si: 'mmol/L', units: { 'mmol/L': { factor: 1 } } },
+  'Cl': { si: 'mmol/L', units: { 'mmol/L': { factor: 1 } } },
+  'Fe': { si: 'μmol/L', units: { 'μmol/L': { factor: 5.585 } } },
+  'NH3': { si: 'μmol/L', units: { 'μmol/L': { factor: 1.703 } } },
+  'Lac': { si: 'mmol/L', units: { 'mg/dL': { factor: 1 / 9.008 } } },
+  'TC': { si: 'mmol/L', units: { 'mmol/L': { factor: 38.67 } } },
+  'HDL': { si: 'mmol/L', units: { 'mmol/L': { factor: 38.67 } } },
+  'LDL': { si: 'mmol/L', units: { 'mmol/L': { factor: 38.67 } } },
+  'TG': { si: 'mmol/L', units: { 'mmol/L': { factor: 88.57 } } },
+  'TP': { si: 'g/L', units: { 'g/L': { factor: 0.1 } } },
+  'Alb': { si: 'g/L', units: { 'g/L': { factor: 0.1 } } },
+  'Hb': { si: 'g/L', units: { 'g/L': { factor: 0.1 }, 'mmol/L': { factor: 1.611 } } },
+  'Hct': { si: 'L/L', units: { 'L/L': { factor: 100 } } },
+  'CRP': { si: 'mg/L', units: { 'mg/L': { factor: 0.1 } } },
+  // HbA1c: NGSP(%) = 0.09148 × IFCC(mmol/mol) + 2.152
+  'HbA1c': { si: 'mmol/mol', units: { 'mmol/mol': { factor: 0.09148, offset: 2.152 } } },
+  'WBC': { si: '×10⁹/L', units: { '×10⁹/L': { factor: 1000 }, '×10³/μL': { factor: 1000 }, '×10²/μL': { factor: 100 } } },
+  'RBC': { si: '×10¹²/L', units: { '×10¹²/L': { factor: 100 }, '×10⁶/μL': { factor: 100 } } },
+  'PLT': { si: '×10⁹/L', units: { '×10⁹/L': { factor: 0.1 }, '×10³/μL': { factor: 0.1 } } },
+  'Fib': { si: 'g/L', units: { 'g/L': { factor: 100 } } },
+  'CSF蛋白': { si: 'g/L', units: { 'g/L': { factor: 100 } } },
+  'D-dimer': { si: 'mg/L', units: { 'mg/L': { factor: 1 }, 'ng/mL': { factor: 0.001 } } },
+  'TnT': { si: 'ng/L', units: { 'ng/L': { factor: 0.001 }, 'pg/mL': { factor: 0.001 } } },
+  'TnI': { si: 'ng/L', units: { 'ng/L': { factor: 0.001 }, 'pg/mL': { factor: 0.001 } } },
+  'FT4': { si: 'pmol/L', units: { 'pmol/L': { factor: 1 / 12.87 } } },
+  'FT3': { si: 'pmol/L', units: { 'pmol/L': { factor: 1 / 1.536 } } }
+};
+
+// 表記ゆれを吸収した比較用キー（μ/µ/u、上付き数字、^、x/*、IU/U、大文字小文字）
+function normalizeUnitKey(unit) {
+  const superscripts = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+  return (unit || '')
+    .replace(/\s+/g, '')
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, c => superscripts[c])
+    .replace(/µ/g, 'μ')
+    .replace(/u(?=[gGlLmI])/g, 'μ')
+    .replace(/\^/g, '')
+    .replace(/^[x×*]/i, '')
+    .toLowerCase()
+    .replace(/^iu\//, 'u/');
+}
+
+export function isSameUnit(a, b) {
+  return normalizeUnitKey(a) === normalizeUnitKey(b);
+}
+
+// 単位の換算係数（正規単位なら factor 1、換算不能なら null）
+function getUnitConversion(item, unit) {
+  const canonical = labItemUnits[item];
+  if (canonical === undefined) return null;
+  if (!unit || isSameUnit(unit, canonical)) return { factor: 1, offset: 0 };
+  const entry = Object.entries(labUnitRegistry[item]?.units || {}).find(([u]) => isSameUnit(u, unit));
+  return entry ? { factor: entry[1].factor, offset: entry[1].offset || 0 } : null;
+}
+
+export function roundLabValue(value) {
+  const abs = Math.abs(value);
+  return parseFloat(value.toFixed(abs >= 100 ? 1 : abs >= 1 ? 2 : 3));
+}
+
+// 任意の単位間で換算（換算できない場合は null）
+export function convertLabValue(item, value, fromUnit, toUnit) {
+  const num = parseFloat(value);
+  if (isNaN(num)) return null;
+  if (isSameUnit(fromUnit, toUnit)) return num;
+  const from = getUnitConversion(item, fromUnit);
+  const to = getUnitConversion(item, toUnit);
+  if (!from || !to) return null;
+  const canonicalValue = num * from.factor + from.offset;
+  return (canonicalValue - to.offset) / to.factor;
+}
+
+// 表示・出力に使う単位
+export function getLabDisplayUnit(item, unitSystem) {
+  if (unitSystem === 'si' && labUnitRegistry[item]) return labUnitRegistry[item].si;
+  return labItemUnits[item];
+}
+
+// 検査値を指定の単位系で取得（mismatch: 単位が登録外で換算できない）
+export function getLabValueInSystem(labItem, unitSystem = 'conventional') {
+  const num = parseFloat(labItem?.value);
+  if (isNaN(num)) return { value: null, unit: labItem?.unit || '', mismatch: false };
+  const targetUnit = getLabDisplayUnit(labItem.item, unitSystem);
+  // 辞書にない項目はそのまま
+  if (targetUnit === undefined) return { value: num, unit: labItem.unit || '', mismatch: false };
+  const converted = convertLabValue(labItem.item, num, labItem.unit || targetUnit, targetUnit);
+  if (converted === null) return { value: null, unit: labItem.unit || '', mismatch: true };
+  return { value: roundLabValue(converted), unit: targetUnit, mismatch: false };
+}
+
+// 取り込み時に正規単位へ変換（元の値と単位は originalValue / originalUnit に保持）
+export function normalizeLabItemUnit(labItem) {
+  const canonical = labItemUnits[labItem.item];
+  if (canonical === undefined || !labItem.unit || isSameUnit(labItem.unit, canonical)) return labItem;
+  const converted = convertLabValue(labItem.item, labItem.value, labItem.unit, canonical);
+  if (converted === null) return labItem;
+  return {
+    ...labItem,
+    value: roundLabValue(converted),
+    unit: canonical,
+    originalValue: labItem.value,
+    originalUnit: labItem.unit
+  };
+}
+
+export function normalizeLabDataUnits(data) {
+  return (data || []).map(normalizeLabItemUnit);
+}
+
+// 基準範囲を別の単位で表す（換算不能なら null）
+export function convertReferenceRange(item, range, toUnit) {
+  if (!range) return null;
+  if (!range.unit || !toUnit || isSameUnit(range.unit, toUnit)) return range;
+  const convert = (v) => v === null ? null : convertLabValue(item, v, range.unit, toUnit);
+  const low = convert(range.low);
+  const high = convert(range.high);
+  if ((range.low !== null && low === null) || (range.high !== null && high === null)) return null;
+  return { ...range, low: low === null ? null : roundLabValue(low), high: high === null ? null : roundLabValue(high), unit: toUnit };
+}
+
+// エクスポート用に検査値を指定の単位系へ換算（換算できない値は元の値・単位のまま）
+export function convertLabItemToSystem(labItem, unitSystem = 'conventional') {
+  const converted = getLabValueInSystem(labItem, unitSystem);
+  if (converted.mismatch || converted.value === null) return labItem;
+  return { ...labItem, value: converted.value, unit: converted.unit };
+}
@@ -0,0 +1,78 @@
+/**
+ * 組織の役割と権限（クライアントとCloud Functionsで共有）
+ * 役割ごとに「できること（capability）」を定義し、画面の表示制御とサーバー側の検証で同じ判定を使う
+ *
+ * - クライアント: src/App.jsx から import（ボタンの表示・非表示）
+ * - Cloud Functions: functions/index.js から require（サーバー側エクスポートの権限確認）
+ * - 組織ごとの設定は organizations/{orgId}.roleCapabilities に保存する（オーナー/管理者のみ変更可）
+ * - firestore.rules の defaultOrgCapabilities / hasOrgCapability と同じ既定値・判定にすること
+ *
+ * Firebase SDK などには依存しない純粋な関数のみを置くこと
+ */
+
+// 権限の一覧
+export const orgCapabilityLabels = {
+  edit: '登録・編集',
+  delete: '削除（ゴミ箱）',
+  export: 'エクスポート',
+  manage: '組織の管理'
+};
+
+// 役割の表示名（owner / admin は全権限で変更不可）
+export const orgRoleLabels = {
+  owner: 'オーナー',
+  admin: '管理者',
+  analyst: '解析担当',
+  data_entry: 'データ入力',
+  viewer: '閲覧のみ',
+  member: 'メンバー'
+};
+
+// 全権限を持ち、設定で変更できない役割
+export const fixedOrgRoles = ['owner', 'admin'];
+
+// 組織ごとに設定できる役割と権限（組織の管理は owner / admin のみ）
+export const configurableOrgRoles = ['analyst', 'data_entry', 'viewer', 'member'];
+export const configurableOrgCapabilities = ['edit', 'delete', 'export'];
+
+// 既定の権限（member は従来どおり登録・編集・削除・エクスポートが可能）
+export const defaultOrgRoleCapabilities = {
+  analyst: ['export'],
+  data_entry: ['edit'],
+  viewer: [],
+  member: ['edit', 'delete', 'export']
+};
+
+// 組織の設定を既定値で補完し、設定できない権限を取り除く
+export function normalizeOrgRoleCapabilities(roleCapabilities) {
+  const normalized = {};
+  for (const role of configurableOrgRoles) {
+    const configured = roleCapabilities?.[role];
+    normalized[role] = Array.isArray(configured)
+      ? configurableOrgCapabilities.filter(cap => configured.includes(cap))
+      : [...defaultOrgRoleCapabilities[role]];
+  }
+  return normalized;
+}
+
+// 役割が持つ権限の一覧
+export function getOrgRoleCapabilities(role, roleCapabilities) {
+  if (fixedOrgRoles.includes(role)) return Object.keys(orgCapabilityLabels);
+  return normalizeOrgRoleCapabilities(roleCapabilities)[role] || [];
+}
+
+// 役割が指定の権限を持つか
+export function orgRoleHasCapability(role, capability, roleCapabilities) {
+  return getOrgRoleCapabilities(role, roleCapabilities).includes(capability);
+}
+
+// 個人データ（users/{uid}/patients）で使える権限
+// 所属する全組織での役割の権限の共通部分（最も厳しい設定）。組織に所属していなければ全て可能
+// memberships: [{ role, roleCapabilities }]（roleCapabilities は各組織の設定）
+// Cloud Functions（syncUserOrgMemberships）が userOrgMemberships/{uid}.personalCapabilities に保存し、
+// firestore.rules・サーバー側エクスポート・画面の表示はこの値で判定する
+export function getPersonalDataCapabilities(memberships) {
+  return configurableOrgCapabilities.filter(capability =>
+    memberships.every(m => orgRoleHasCapability(m.role, capability, m.roleCapabilities))
+  );
+}
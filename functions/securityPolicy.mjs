@@ -0,0 +1,97 @@
+/**
+ * 組織のセキュリティポリシー（クライアントとCloud Functionsで共有）
+ * 二要素認証の必須化・パスワード強度・無操作時の自動ログアウト・破壊的操作前の再認証を組織ごとに設定する
+ *
+ * - クライアント: src/App.jsx から import（ログイン後の要件チェック・再認証ダイアログ・自動ログアウト）
+ * - Cloud Functions: functions/index.js から require（ログイン時のクレーム付与・サーバー側エクスポートの再認証確認）
+ * - 組織ごとの設定は organizations/{orgId}.securityPolicy に保存する（オーナー/管理者のみ変更可）
+ * - 複数の組織に所属するユーザーには、所属組織の中で最も厳しい設定を適用する
+ *
+ * Firebase SDK などには依存しない純粋な関数のみを置くこと
+ */
+
+// 新しく設定するパスワードの最小文字数（組織のポリシーがなくても適用）
+export const MIN_PASSWORD_LENGTH = 8;
+
+// 再認証が有効な時間（分）。この時間内にログイン・再認証していれば再入力を求めない
+export const REAUTH_MAX_AGE_MINUTES = 5;
+
+// 無操作時の自動ログアウトの選択肢（分、0 は無効）
+export const idleTimeoutOptions = [0, 15, 30, 60, 120];
+
+// 組織が設定した場合の既定値
+export const defaultSecurityPolicy = {
+  mfaRequired: false,
+  passwordMinLength: MIN_PASSWORD_LENGTH,
+  passwordRequireMixed: false,
+  idleTimeoutMinutes: 0,
+  reauthForDestructive: false
+};
+
+// ポリシーを設定していない場合（所属組織がない・どの組織も未設定）
+const unrestrictedSecurityPolicy = {
+  mfaRequired: false,
+  passwordMinLength: 0,
+  passwordRequireMixed: false,
+  idleTimeoutMinutes: 0,
+  reauthForDestructive: false
+};
+
+// 組織の設定を既定値で補完し、範囲外の値を丸める
+export function normalizeSecurityPolicy(policy) {
+  const minLength = Number(policy?.passwordMinLength);
+  const idle = Number(policy?.idleTimeoutMinutes);
+  return {
+    mfaRequired: policy?.mfaRequired === true,
+    passwordMinLength: Number.isFinite(minLength)
+      ? Math.min(Math.max(Math.round(minLength), MIN_PASSWORD_LENGTH), 64)
+      : defaultSecurityPolicy.passwordMinLength,
+    passwordRequireMixed: policy?.passwordRequireMixed === true,
+    idleTimeoutMinutes: idleTimeoutOptions.includes(idle) ? idle : defaultSecurityPolicy.idleTimeoutMinutes,
+    reauthForDestructive: policy?.reauthForDestructive === true
+  };
+}
+
+// 複数の組織のポリシーを最も厳しい設定にまとめる（未設定の組織は無視）
+export function mergeSecurityPolicies(policies) {
+  return (policies || []).filter(Boolean).map(normalizeSecurityPolicy).reduce((merged, policy) => ({
+    mfaRequired: merged.mfaRequired || policy.mfaRequired,
+    passwordMinLength: Math.max(merged.passwordMinLength, policy.passwordMinLength),
+    passwordRequireMixed: merged.passwordRequireMixed || policy.passwordRequireMixed,
+    idleTimeoutMinutes: [merged.idleTimeoutMinutes, policy.idleTimeoutMinutes].filter(m => m > 0).sort((a, b) => a - b)[0] || 0,
+    reauthForDestructive: merged.reauthForDestructive || policy.reauthForDestructive
+  }), { ...unrestrictedSecurityPolicy });
+}
+
+// パスワードの文字数と文字種（英大文字・英小文字・数字・記号）の数
+// パスワード自体は保持せず、この要約だけでポリシーを判定する
+export function summarizePassword(password) {
+  const value = String(password || '');
+  const classes = [/[A-Z]/, /[a-z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(value)).length;
+  return { length: value.length, classes };
+}
+
+// ポリシーを満たさない点の一覧（満たしていれば空配列）
+export function passwordPolicyErrors(summary, policy) {
+  const errors = [];
+  const minLength = Math.max(policy?.passwordMinLength || 0, 0);
+  if (summary.length < minLength) {
+    errors.push(`パスワードは${minLength}文字以上にしてください`);
+  }
+  if (policy?.passwordRequireMixed && summary.classes < 3) {
+    errors.push('パスワードには英大文字・英小文字・数字・記号のうち3種類以上を含めてください');
+  }
+  return errors;
+}
+
+// パスワードの要件の説明
+export function describePasswordPolicy(policy) {
+  const parts = [`${Math.max(policy?.passwordMinLength || 0, MIN_PASSWORD_LENGTH)}文字以上`];
+  if (policy?.passwordRequireMixed) parts.push('英大文字・英小文字・数字・記号のうち3種類以上');
+  return parts.join('、');
+}
+
+// 最後のログイン・再認証が REAUTH_MAX_AGE_MINUTES 以内か
+export function isRecentAuth(authTimeMs, nowMs = Date.now()) {
+  return Number.isFinite(authTimeMs) && nowMs - authTimeMs <= REAUTH_MAX_AGE_MINUTES * 60 * 1000;
+}
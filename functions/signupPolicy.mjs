@@ -0,0 +1,97 @@
+/**
+ * 新規登録・ログインの許可ポリシー（クライアントとCloud Functionsで共有）
+ * メールアドレス許可リストと所属施設のドメインによる判定を、画面の入力チェックとサーバー側の強制で同じ判定にする
+ *
+ * - クライアント: src/App.jsx から import（登録画面・許可リスト管理画面の入力チェック）
+ * - Cloud Functions: functions/index.js から require（beforeUserCreated / beforeUserSignedIn で強制）
+ *
+ * Firebase SDK などには依存しない純粋な関数のみを置くこと
+ */
+
+// 所属施設リスト（無料利用可能な施設）
+// domain のメールアドレス（サブドメインを含む）で登録したユーザーのみ、その施設として登録できる
+export const FREE_INSTITUTIONS = [
+  { id: 'tmd-ped', name: '東京科学大学小児科', domain: 'tmd.ac.jp' },
+  // 他の施設を追加する場合はここに追加
+];
+
+// 拒否理由の表示名
+export const signupRejectionReasonLabels = {
+  'not-allowed': '許可リスト外',
+  'policy-unavailable': '許可設定の取得失敗',
+  'invalid-email': 'メールアドレスなし・不正'
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// メールアドレスのドメインが指定ドメイン（またはそのサブドメイン）か
+export function emailMatchesDomain(email, domain) {
+  const emailDomain = normalize(email).split('@')[1] || '';
+  const target = normalize(domain).replace(/^\*?\.?/, '');
+  if (!emailDomain || !target) return false;
+  return emailDomain === target || emailDomain.endsWith('.' + target);
+}
+
+// 許可リストのパターンを正規化する
+//   user@example.com   … メールアドレス完全一致
+//   @example.com       … ドメイン一致（*@example.com と同じ）
+//   *@*.example.ac.jp  … サブドメインも含めて一致
+// 形式が正しくなければ null
+export function normalizeAllowlistPattern(pattern) {
+  let value = normalize(pattern);
+  if (value.startsWith('@')) value = '*' + value;
+
+  const parts = value.split('@');
+  if (parts.length !== 2) return null;
+  const [local, domain] = parts;
+  if (!local || /\s/.test(value)) return null;
+  if (local.includes('*') && local !== '*') return null;
+  if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) return null;
+  return value;
+}
+
+// メールアドレスが許可リストのパターンに一致するか
+export function emailMatchesAllowlistPattern(email, pattern) {
+  const normalizedEmail = normalize(email);
+  const normalizedPattern = normalizeAllowlistPattern(pattern);
+  if (!normalizedPattern || !normalizedEmail.includes('@')) return false;
+
+  const [local, domain] = normalizedPattern.split('@');
+  const [emailLocal, emailDomain] = normalizedEmail.split('@');
+  if (local !== '*' && local !== emailLocal) return false;
+  if (domain.startsWith('*.')) {
+    return emailDomain === domain.slice(2) || emailDomain.endsWith(domain.slice(1));
+  }
+  return emailDomain === domain;
+}
+
+// メールアドレスのドメインに対応する無料施設
+export function findInstitutionForEmail(email) {
+  return FREE_INSTITUTIONS.find(inst => emailMatchesDomain(email, inst.domain)) || null;
+}
+
+// 新規登録・ログインを許可するかを判定する
+//   settings: config/settings の内容、allowlist: allowedEmails の email の配列
+//   settings.emailAllowlistExemptInstitutions が true の場合のみ、無料施設のドメインを許可リストに関係なく許可する（既定は無効）
+//   システム管理者も許可リストに含める必要がある（管理画面で有効にするときに自分のメールアドレスを追加する）
+//   許可リストが無効の場合はメールアドレスのないアカウント（電話番号・匿名など）も許可する
+// 戻り値: { allowed, reason, institutionId }
+export function evaluateSignupPolicy(email, { settings, allowlist = [] } = {}) {
+  const normalizedEmail = normalize(email);
+  const institution = findInstitutionForEmail(normalizedEmail);
+  const institutionId = institution ? institution.id : null;
+
+  if (!settings?.emailAllowlistEnabled) {
+    return { allowed: true, reason: null, institutionId };
+  }
+  if (!normalizedEmail.includes('@')) {
+    return { allowed: false, reason: 'invalid-email', institutionId };
+  }
+  if (institution && settings.emailAllowlistExemptInstitutions === true) {
+    return { allowed: true, reason: null, institutionId };
+  }
+  if (allowlist.some(pattern => emailMatchesAllowlistPattern(normalizedEmail, pattern))) {
+    return { allowed: true, reason: null, institutionId };
+  }
+  return { allowed: false, reason: 'not-allowed', institutionId };
+}